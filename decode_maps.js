@@ -1,10 +1,12 @@
 // Node.js script to decode Wolf3D map data from jseidelin/wolf3d format
-// Outputs decoded level data as a JS module
+// Outputs decoded level data as a JS module (src/levels.js)
+// Usage: node decode_maps.js [path/to/maps.js]   (default /tmp/wolf3d_maps.js)
 
 import { readFileSync, writeFileSync } from 'fs';
 
 // Read maps.js and extract the MapData object
-const mapsContent = readFileSync('/tmp/wolf3d_maps.js', 'utf-8');
+const mapsPath = process.argv[2] || '/tmp/wolf3d_maps.js';
+const mapsContent = readFileSync(mapsPath, 'utf-8');
 const match = mapsContent.match(/Wolf\.MapData\s*=\s*(\{.*\})/s);
 if (!match) { console.error('Could not find MapData'); process.exit(1); }
 const mapData = JSON.parse(match[1]);
@@ -122,11 +124,16 @@ function decodeMap(name, b64data) {
     // plane1: walls/doors
     // plane2: objects/enemies/player spawn
     const walls = new Array(64*64).fill(0);
+    const areas = new Array(64*64).fill(-1); // floor area number per tile, -1 = none
     const objects = new Array(64*64).fill(0);
     let spawnX = 29, spawnY = 57, spawnAngle = 90;
     const enemies = [];
     const statics = [];
     const doors = [];
+    const pushwalls = [];
+    const turnPoints = [];
+    const ambushTiles = new Set();
+    const secretExits = []; // ALTELEVATORTILE floor — using the elevator here goes to the secret map
 
     for (let y0 = 0; y0 < 64; y0++) {
         for (let x = 0; x < 64; x++) {
@@ -161,8 +168,11 @@ function decodeMap(name, b64data) {
                 }
             } else if (layer1 === 0x6a) {
                 walls[y * 64 + x] = 0; // ambush floor (open)
+                ambushTiles.add(y * 64 + x);
             } else {
                 walls[y * 64 + x] = 0; // area marker (open floor)
+                areas[y * 64 + x] = layer1 - 0x6b;
+                if (layer1 === 0x6b) secretExits.push({ x, y });
             }
 
             // Object/enemy layer
@@ -176,6 +186,14 @@ function decodeMap(name, b64data) {
                 else if (layer2 >= 23 && layer2 < 23 + 47) {
                     statics.push({ x, y, type: layer2 - 23 });
                 }
+                // Patrol turn arrows (90-97) — dir: 0=E, 1=NE, 2=N ... 7=SE (original dirtype order)
+                else if (layer2 >= 0x5A && layer2 <= 0x61) {
+                    turnPoints.push({ x, y, dir: layer2 - 0x5A });
+                }
+                // Pushwall (secret) marker — sits on a wall tile
+                else if (layer2 === 0x62) {
+                    pushwalls.push({ x, y });
+                }
                 // Exit tile
                 else if (layer2 === 0x63) {
                     statics.push({ x, y, type: 'exit' });
@@ -259,10 +277,19 @@ function decodeMap(name, b64data) {
                     enemies.push({ x, y, type: 'dog', dir: layer2 - 210, patrol: true, difficulty: 2 });
                 }
                 // Bosses
-                else if (layer2 === 214) { enemies.push({ x, y, type: 'boss', dir: 0, patrol: false }); }
-                else if (layer2 === 196) { enemies.push({ x, y, type: 'boss', dir: 0, patrol: false }); } // schabbs
-                else if (layer2 === 160) { enemies.push({ x, y, type: 'boss', dir: 0, patrol: false }); } // fake
-                else if (layer2 === 178) { enemies.push({ x, y, type: 'boss', dir: 0, patrol: false }); } // mecha
+                else if (layer2 === 214) { enemies.push({ x, y, type: 'hans', dir: 0, patrol: false }); }
+                else if (layer2 === 196) { enemies.push({ x, y, type: 'schabbs', dir: 0, patrol: false }); }
+                else if (layer2 === 160) { enemies.push({ x, y, type: 'fakehitler', dir: 0, patrol: false }); }
+                else if (layer2 === 178) { enemies.push({ x, y, type: 'mechahitler', dir: 0, patrol: false }); }
+                else if (layer2 === 197) { enemies.push({ x, y, type: 'gretel', dir: 0, patrol: false }); }
+                // Dead guard — decorative corpse (original SpawnDeadGuard)
+                else if (layer2 === 124) {
+                    enemies.push({ x, y, type: 'guard', dir: 0, patrol: false, dead: true });
+                }
+                // Pac-Man ghosts (secret maze level)
+                else if (layer2 >= 224 && layer2 <= 227) {
+                    enemies.push({ x, y, type: ['blinky', 'clyde', 'pinky', 'inky'][layer2 - 224], dir: 0, patrol: false });
+                }
                 // Mutants
                 else if (layer2 >= 216 && layer2 <= 219) {
                     enemies.push({ x, y, type: 'mutant', dir: layer2 - 216, patrol: false });
@@ -286,6 +313,20 @@ function decodeMap(name, b64data) {
         }
     }
 
+    // Ambush tiles carry no area of their own — borrow a neighbour's (original SetupGameLevel)
+    for (const idx of ambushTiles) {
+        const x = idx % 64, y = Math.floor(idx / 64);
+        for (const [nx, ny] of [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]]) {
+            if (nx < 0 || nx >= 64 || ny < 0 || ny >= 64) continue;
+            if (areas[ny * 64 + nx] >= 0) { areas[idx] = areas[ny * 64 + nx]; break; }
+        }
+    }
+
+    // Enemies placed on ambush floor are deaf — they only react on sight
+    for (const e of enemies) {
+        if (ambushTiles.has(e.y * 64 + e.x)) e.ambush = true;
+    }
+
     return {
         name: levelName,
         music,
@@ -293,7 +334,11 @@ function decodeMap(name, b64data) {
         ceiling,
         floor: floor,
         walls,
+        areas,
         doors,
+        pushwalls,
+        turnPoints,
+        secretExits,
         enemies,
         statics,
         spawnX,
@@ -313,7 +358,7 @@ for (const key of sortedKeys) {
     const level = decodeMap(key, mapData[key]);
     if (level) {
         levels[idx] = level;
-        console.log(`  ${level.name}: spawn=(${level.spawnX},${level.spawnY}), doors=${level.doors.length}, enemies=${level.enemies.length}, statics=${level.statics.length}`);
+        console.log(`  ${level.name}: spawn=(${level.spawnX},${level.spawnY}), doors=${level.doors.length}, pushwalls=${level.pushwalls.length}, enemies=${level.enemies.length}, statics=${level.statics.length}`);
     } else {
         console.log(`  FAILED to decode`);
     }
@@ -325,7 +370,7 @@ const output = `// Auto-generated Wolf3D level data
 export const LEVELS = ${JSON.stringify(levels)};
 `;
 
-writeFileSync('/Users/kirillionov/Claude/Games/wolfenstein3d-threejs/src/levels.js', output);
+writeFileSync(new URL('./src/levels.js', import.meta.url), output);
 console.log('\nWrote src/levels.js');
 
 // Print stats
@@ -1,34 +1,24 @@
 import * as THREE from 'three';
 import { LEVELS } from './levels.js';
-
-// ─── Game Constants ─────────────────────────────
-const MAP_SIZE = 64;
-const CELL = 2; // world units per cell
+import {
+    MAP_SIZE, CELL, HEAD_BOB, MAX_HEALTH, TICK_RATE, TICK_DT,
+    SKILLS, DEFAULT_SKILL, state, player, seedRandom,
+    GAME_EVENT, onGameEvent, STATINFO, AI, normalizeAngle, WEAPON_ORDER, INPUT, INPUT_WEAPON_SHIFT,
+    levelIndex, levelWalls, levelDoors, levelPushwalls, levelEnemies, levelStatics, levelPickups, levelProjectiles, levelStats,
+    loadLevel, tick, enterNextFloor, restartFloor, newGame, captureSnapshot, restoreSnapshot, resetTickClock,
+} from './sim.js';
+
+export { gameEvents } from './sim.js';
+
+// ─── View Constants ─────────────────────────────
+// Gameplay constants live in sim.js; these only size what is drawn
 const WALL_H = CELL;
-const EYE_H = 0.9;
 const HUD_BASE_W = 640;
 const HUD_BASE_H = 80;
 const HUD_MAX_SCALE = 4;
 const MIN_VIEWPORT_HEIGHT = 320;
-const MAX_HEALTH = 100;
-const MAX_AMMO = 99;
-const START_AMMO = 8;
-const CLIP_AMMO = 4; // Original Wolf3D: ammo clip gives 4 bullets
-const PICKUP_RADIUS = 1.6;
 const DOOR_TRAVEL = CELL - 0.02;
-const DOOR_PASSABLE_OPEN = 0.8;
-const JUMP_VELOCITY = 4.6;
-const PLAYER_GRAVITY = 15.0;
-
-// ─── Game State ─────────────────────────────────
-const state = {
-    health: MAX_HEALTH, ammo: START_AMMO, score: 0, lives: 3,
-    weapon: 'pistol', keys: { gold: false, silver: false },
-    episode: 0, level: 0,
-    shooting: false, shootCooldown: 0,
-    minimapVisible: true,
-    moveSpeed: 4.0, runMultiplier: 1.8, mouseSensitivity: 0.002,
-};
+const DEATH_FRAME_TIME = 0.12; // seconds each enemy death frame is held
 
 // ─── Audio System ───────────────────────────────
 const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
@@ -70,8 +60,8 @@ function playSound(url, volume = 1.0) {
 }
 
 function playSpatialSound(url, worldX, worldZ, volume = 1.0) {
-    const dx = worldX - camera.position.x;
-    const dz = worldZ - camera.position.z;
+    const dx = worldX - player.x;
+    const dz = worldZ - player.z;
     const dist = Math.sqrt(dx * dx + dz * dz);
     const maxDist = 30;
     if (dist > maxDist) return;
@@ -115,6 +105,7 @@ const SFX = {
     chaingunFire:  '/sounds/sfx/013.ogg',
     doorOpen:      '/sounds/sfx/010.ogg',
     doorClose:     '/sounds/sfx/007.ogg',
+    pushWall:      '/sounds/sfx/010.ogg',
     guardAlert:    '/sounds/sfx/001.ogg',
     guardDeath:    ['/sounds/sfx/025.ogg', '/sounds/sfx/026.ogg', '/sounds/sfx/086.ogg', '/sounds/sfx/088.ogg'],
     guardAttack:   '/sounds/sfx/049.ogg',
@@ -202,8 +193,12 @@ function statTile(typeIdx, fallback = [0, 0]) {
 }
 
 function guardTile(col, row) {
+    return enemyTile(guardAtlas, col, row);
+}
+
+function enemyTile(atlas, col, row) {
     const GUARD_SIZE = 8;
-    const tex = guardAtlas.clone();
+    const tex = atlas.clone();
     tex.needsUpdate = true;
     tex.repeat.set(1 / GUARD_SIZE, 1 / GUARD_SIZE);
     tex.offset.set(col / GUARD_SIZE, 1 - (row + 1) / GUARD_SIZE);
@@ -281,103 +276,6 @@ const doorMats = makeDoorMaterials(doorFaceMat);
 const elevDoorMats = makeDoorMaterials(elevDoorMat);
 const lockDoorMats = makeDoorMaterials(lockDoorMat);
 
-// ─── Static Object Definitions (statinfo) ───────
-// Type index (0-46) from decoded map data
-// [blocking, pickupType]
-const STATINFO = [
-    { name: 'puddle',      block: false, pickup: null,       tile: [0, 0] },   // 0
-    { name: 'greenBarrel', block: true,  pickup: null,       tile: [2, 1] },   // 1
-    { name: 'tableChairs', block: true,  pickup: null,       tile: [13, 1] },  // 2
-    { name: 'floorLamp',   block: true,  pickup: null,       tile: [3, 1] },   // 3
-    { name: 'chandelier',  block: false, pickup: null,       tile: [4, 1] },   // 4
-    { name: 'hangedMan',   block: true,  pickup: null,       tile: [5, 1] },   // 5
-    { name: 'dogFood',     block: false, pickup: 'food',     tile: [10, 3] },  // 6
-    { name: 'pillar',      block: true,  pickup: null,       tile: [8, 1] },   // 7
-    { name: 'tree',        block: true,  pickup: null,       tile: [9, 1] },   // 8
-    { name: 'skeleton',    block: false, pickup: null,       tile: [10, 1] },  // 9
-    { name: 'sink',        block: true,  pickup: null,       tile: [11, 1] },  // 10
-    { name: 'plant',       block: true,  pickup: null,       tile: [11, 1] },  // 11
-    { name: 'urn',         block: true,  pickup: null,       tile: [12, 1] },  // 12
-    { name: 'bareTable',   block: true,  pickup: null,       tile: [13, 1] },  // 13
-    { name: 'ceilLight',   block: false, pickup: null,       tile: [0, 2], light: true },  // 14
-    { name: 'pans',        block: false, pickup: null,       tile: [1, 2] },   // 15
-    { name: 'armor',       block: true,  pickup: null,       tile: [2, 2] },   // 16
-    { name: 'cage',        block: true,  pickup: null,       tile: [3, 2] },   // 17
-    { name: 'cageSkel',    block: true,  pickup: null,       tile: [3, 2] },   // 18
-    { name: 'bonesRelax',  block: false, pickup: null,       tile: [4, 3] },   // 19
-    { name: 'key1',        block: false, pickup: 'key1',     tile: [5, 3] },   // 20
-    { name: 'key2',        block: false, pickup: 'key2',     tile: [6, 3] },   // 21
-    { name: 'stuff',       block: true,  pickup: null,       tile: [7, 3] },   // 22
-    { name: 'junk',        block: false, pickup: null,       tile: [4, 3] },   // 23
-    { name: 'food',        block: false, pickup: 'food',     tile: [10, 3] },  // 24
-    { name: 'firstaid',    block: false, pickup: 'health',   tile: [11, 3] },  // 25
-    { name: 'clip',        block: false, pickup: 'ammo',     tile: [12, 3] },  // 26
-    { name: 'machinegun',  block: false, pickup: 'machinegun', tile: [13, 3] },// 27
-    { name: 'chaingun',    block: false, pickup: 'chaingun', tile: [7, 3] },   // 28
-    { name: 'cross',       block: false, pickup: 'cross',    tile: [14, 3] },  // 29
-    { name: 'chalice',     block: false, pickup: 'chalice',  tile: [15, 3] },  // 30
-    { name: 'bible',       block: false, pickup: 'bible',    tile: [0, 4] },   // 31
-    { name: 'crown',       block: false, pickup: 'crown',    tile: [1, 4] },   // 32
-    { name: 'oneUp',       block: false, pickup: 'oneup',    tile: [2, 4] },   // 33
-    { name: 'gibs',        block: false, pickup: null,       tile: [7, 4] },   // 34
-    { name: 'barrel',      block: true,  pickup: null,       tile: [4, 4] },   // 35
-    { name: 'well',        block: true,  pickup: null,       tile: [5, 4] },   // 36
-    { name: 'emptyWell',   block: true,  pickup: null,       tile: [6, 4] },   // 37
-    { name: 'gibs2',       block: false, pickup: null,       tile: [7, 4] },   // 38
-    { name: 'flag',        block: true,  pickup: null,       tile: [8, 4] },   // 39
-    { name: 'callApogee',  block: true,  pickup: null,       tile: [0, 5] },   // 40
-    { name: 'junk2',       block: false, pickup: null,       tile: [4, 3] },   // 41
-    { name: 'junk3',       block: false, pickup: null,       tile: [4, 3] },   // 42
-    { name: 'junk4',       block: false, pickup: null,       tile: [4, 3] },   // 43
-    { name: 'pots',        block: false, pickup: null,       tile: [1, 2] },   // 44
-    { name: 'stove',       block: true,  pickup: null,       tile: [15, 5] },  // 45
-    { name: 'spears',      block: true,  pickup: null,       tile: [0, 5] },   // 46
-];
-
-// ─── Enemy Types ────────────────────────────────
-// Each type has unique behavioral flags:
-//   melee: only attacks at close range (dogs)
-//   silent: no alert sound, attacks instantly (mutants)
-//   noPain: ignores pain state (bosses)
-//   dodges: strafes during combat (officers, SS)
-//   rushes: charges straight at player ignoring caution distance (dogs)
-//   canOpenDoors: can open doors during chase
-const ENEMY_TYPES = {
-    guard:   { name:'Guard',   hp:25,  speed:2.2, dmg:[5,10],  score:100,  alertDist:13, shootDist:12, cooldown:[0.9,1.5], acc:0.6,  alertSfx:SFX.guardAlert,   deathSfx:SFX.guardDeath,   atkSfx:SFX.guardAttack,   tint:null, scale:[1.55,2.08], melee:false, silent:false, noPain:false, dodges:false, rushes:false, canOpenDoors:true },
-    officer: { name:'Officer', hp:50,  speed:3.4, dmg:[8,15],  score:400,  alertDist:18, shootDist:14, cooldown:[0.6,1.1], acc:0.75, alertSfx:SFX.officerAlert, deathSfx:SFX.officerDeath, atkSfx:SFX.guardAttack,   tint:new THREE.Color(0.9,0.9,1.2), scale:[1.55,2.08], melee:false, silent:false, noPain:false, dodges:true, rushes:false, canOpenDoors:true },
-    ss:      { name:'SS',      hp:100, speed:2.9, dmg:[10,20], score:500,  alertDist:20, shootDist:16, cooldown:[0.45,0.85], acc:0.8,  alertSfx:SFX.ssAlert,      deathSfx:SFX.ssDeath,      atkSfx:SFX.ssAttack,      tint:new THREE.Color(0.5,0.5,0.5), scale:[1.68,2.24], melee:false, silent:false, noPain:false, dodges:true, rushes:false, canOpenDoors:true },
-    dog:     { name:'Dog',     hp:1,   speed:5.2, dmg:[5,12],  score:200,  alertDist:15, shootDist:2.4,cooldown:[0.45,0.8], acc:0.9,  alertSfx:SFX.dogAlert,     deathSfx:SFX.dogDeath,     atkSfx:SFX.knife,         tint:null, scale:[1.30,1.05], melee:true, silent:false, noPain:false, dodges:false, rushes:true, canOpenDoors:false },
-    mutant:  { name:'Mutant',  hp:55,  speed:2.8, dmg:[8,18],  score:700,  alertDist:16, shootDist:12, cooldown:[0.2,0.4], acc:0.7,  alertSfx:SFX.guardAlert,   deathSfx:SFX.mutantDeath,  atkSfx:SFX.guardAttack,   tint:new THREE.Color(0.4,0.8,0.3), scale:[1.68,2.24], melee:false, silent:true, noPain:false, dodges:false, rushes:false, canOpenDoors:true },
-    boss:    { name:'Boss',    hp:850, speed:1.7, dmg:[15,30], score:5000, alertDist:24, shootDist:19, cooldown:[0.3,0.6], acc:0.85, alertSfx:SFX.bossAlert,    deathSfx:SFX.bossDeath,    atkSfx:SFX.bossAttack,    tint:new THREE.Color(1.2,0.8,0.8), scale:[2.30,2.78], melee:false, silent:false, noPain:true, dodges:false, rushes:false, canOpenDoors:true },
-};
-
-const AI = { STAND:0, PATROL:1, ALERT:2, CHASE:3, ATTACK:4, PAIN:5, DYING:6, DEAD:7, DOOR_WAIT:8, DODGE:9, INVESTIGATE:10 };
-
-// Pre-create guard sprite textures (8x8 grid)
-const guardFrames = [];
-for (let r = 0; r < 8; r++)
-    for (let c = 0; c < 8; c++)
-        guardFrames.push(guardTile(c, r));
-// Guard spritesheet layout (8x8 grid, 64px cells):
-// Row 0: stand 8 dirs | Row 1-4: walk 4 frames × 8 dirs
-// Row 5: pain/death sequence (col 0..4), extra side-shoot at col 7
-// Row 6: col 1 = aim, col 2 = fire WITH muzzle flash
-const guardShootAimTex = guardTile(1, 6);   // row 6 col 1 — aim/raise gun
-const guardShootFireTex = guardTile(2, 6);  // row 6 col 2 — fire with muzzle flash
-const guardPainTex = guardTile(0, 5);       // row 5 col 0 — hit/pain reaction
-const guardDeathFrames = [
-    guardTile(0, 5),  // frame 0: hit
-    guardTile(1, 5),  // frame 1: falling with blood
-    guardTile(2, 5),  // frame 2: down (side)
-    guardTile(3, 5),  // frame 3: down (front)
-    guardTile(4, 5),  // frame 4: flat dead
-];
-const dogWalkFrames = [];
-for (let step = 0; step < 4; step++) {
-    for (let dir = 0; dir < 8; dir++) dogWalkFrames.push(dogTile(step * 8 + dir));
-}
-const dogDeathFrames = [dogTile(32), dogTile(33), dogTile(34), dogTile(35)];
-const dogJumpFrames = [dogTile(36), dogTile(37), dogTile(38)];
 // Muzzle flash pool for enemy shooting visual feedback
 const MUZZLE_FLASH_POOL = [];
 const MUZZLE_FLASH_COUNT = 8;
@@ -447,6 +345,66 @@ const dogDeathPose = [
     { sx: 1.22, sy: 0.44, y: 0.18 },
 ];
 
+// ─── Enemy Sprite Sets ──────────────────────────
+// Frame tables are [col, row] cells of an 8x8, 64px enemy atlas.
+// Guard layout:
+// Row 0: stand 8 dirs | Row 1-4: walk 4 frames × 8 dirs
+// Row 5: pain/death sequence (col 0..4), extra side-shoot at col 7
+// Row 6: col 1 = aim, col 2 = fire WITH muzzle flash
+const SOLDIER_FRAMES = {
+    directional: true,
+    stand: [0, 1, 2, 3, 4, 5, 6, 7].map(c => [c, 0]),
+    walk: [1, 2, 3, 4].map(r => [0, 1, 2, 3, 4, 5, 6, 7].map(c => [c, r])),
+    aim: [1, 6], fire: [2, 6], pain: [0, 5],
+    death: [[0, 5], [1, 5], [2, 5], [3, 5], [4, 5]],
+    deathPose: guardDeathPose,
+};
+
+// Resolves a frame table against an atlas into the textures updateEnemySprite() picks from
+function buildSpriteSet(set, atlas, table) {
+    const tile = ([c, r]) => enemyTile(atlas, c, r);
+    set.directional = table.directional;
+    set.stand = table.stand.map(tile);
+    set.walk = table.walk.map(step => step.map(tile));
+    set.aim = tile(table.aim);
+    set.fire = tile(table.fire);
+    set.pain = tile(table.pain);
+    set.death = table.death.map(tile);
+    set.deathPose = table.deathPose;
+    return set;
+}
+
+const dogWalkFrames = [];
+for (let step = 0; step < 4; step++) {
+    for (let dir = 0; dir < 8; dir++) dogWalkFrames.push(dogTile(step * 8 + dir));
+}
+const dogJumpFrames = [dogTile(36), dogTile(37), dogTile(38)];
+
+const SPRITE_SETS = {
+    guard: buildSpriteSet({ fallback: false }, guardAtlas, SOLDIER_FRAMES),
+    // The dog strip has no standing row — the first walk step doubles as the idle pose
+    dog: {
+        fallback: false, directional: true,
+        stand: dogWalkFrames.slice(0, 8),
+        walk: [0, 1, 2, 3].map(step => dogWalkFrames.slice(step * 8, step * 8 + 8)),
+        aim: dogJumpFrames[0], fire: dogJumpFrames[1], pain: dogJumpFrames[0],
+        death: [dogTile(32), dogTile(33), dogTile(34), dogTile(35)],
+        deathPose: dogDeathPose,
+    },
+};
+
+// Types without frames of their own (officer, SS, mutant, bosses, ghosts) draw the
+// guard frames; typeDef.tint tells them apart
+const GUARD_STAND_IN = buildSpriteSet({ fallback: true }, guardAtlas, SOLDIER_FRAMES);
+
+function getEnemySprites(e) {
+    return SPRITE_SETS[e.typeDef.sprites] || GUARD_STAND_IN;
+}
+
+function getEnemyTint(e) {
+    return getEnemySprites(e).fallback ? e.typeDef.tint : null;
+}
+
 // ─── Scene Setup ────────────────────────────────
 const scene = new THREE.Scene();
 scene.background = new THREE.Color(0x383838);
@@ -472,30 +430,52 @@ for (let i = 0; i < MUZZLE_FLASH_COUNT; i++) {
     MUZZLE_FLASH_POOL.push(createMuzzleFlashSprite());
 }
 
-// ─── Level State ────────────────────────────────
-let levelWalls = null;    // 64x64 wall values
-let levelDoors = [];      // door objects
-let levelEnemies = [];    // enemy sprites
-let levelStatics = [];    // static prop sprites
-let levelPickups = [];    // pickup sprites
-let levelMeshes = [];     // all Three.js meshes for current level
+// ─── Level View ─────────────────────────────────
+// Scene objects drawn from the simulation's plain data. The view is rebuilt whenever
+// the simulation starts a floor; moving parts follow their entities every frame.
+let levelMeshes = [];     // walls, floor, ceiling, doors and lamps
+let levelProps = [];      // static prop sprites
 let levelLights = [];
-let playerMoveSpeed = 0;
+let viewStats = null;     // levelStats of the floor the view was built for
+const doorMeshes = new Map();        // door → mesh
+const pushwallMeshes = new Map();    // pushwall → mesh
+const wallMeshes = new Map();        // wall value → merged wall mesh
+const drawnWalls = new Uint8Array(MAP_SIZE * MAP_SIZE); // wall value drawn per tile (0 = none)
+const enemySprites = new Map();      // enemy → sprite
+const pickupSprites = new Map();     // pickup → sprite
+const projectileSprites = new Map(); // projectile → sprite
 let hudScale = 1;
 let hudPixelHeight = HUD_BASE_H;
 
-const wallGeo = new THREE.BoxGeometry(CELL, WALL_H, CELL);
+const wallGeo = new THREE.BoxGeometry(CELL, WALL_H, CELL); // secret walls only
 
-// ─── Level Loading ──────────────────────────────
+// Wall faces a tile can show: neighbour offset, and the bottom corner (in tiles) and
+// direction of the face's u axis, chosen so textures read left to right from outside
+// like BoxGeometry's. ±x faces take the dark texture, ±z faces the light one.
+const WALL_SIDES = [
+    { dx: 1, dz: 0, corner: [1, 1], right: [0, -1] },
+    { dx: -1, dz: 0, corner: [0, 0], right: [0, 1] },
+    { dx: 0, dz: 1, corner: [0, 1], right: [1, 0] },
+    { dx: 0, dz: -1, corner: [1, 0], right: [-1, 0] },
+];
 
-function clearLevel() {
+function addLevelMesh(mesh) {
+    scene.add(mesh);
+    levelMeshes.push(mesh);
+    return mesh;
+}
+
+function clearLevelView() {
     for (const m of levelMeshes) { scene.remove(m); if (m.geometry) m.geometry.dispose(); }
-    for (const e of levelEnemies) scene.remove(e);
-    for (const s of levelStatics) scene.remove(s);
-    for (const p of levelPickups) scene.remove(p);
+    for (const s of levelProps) scene.remove(s);
     for (const l of levelLights) scene.remove(l);
-    levelMeshes = []; levelDoors = []; levelEnemies = []; levelStatics = []; levelPickups = []; levelLights = [];
-    levelWalls = null;
+    for (const sp of enemySprites.values()) scene.remove(sp);
+    for (const sp of pickupSprites.values()) scene.remove(sp);
+    for (const sp of projectileSprites.values()) { scene.remove(sp); sp.material.dispose(); }
+    for (const m of wallMeshes.values()) { scene.remove(m); m.geometry.dispose(); }
+    levelMeshes = []; levelProps = []; levelLights = [];
+    doorMeshes.clear(); pushwallMeshes.clear(); wallMeshes.clear();
+    enemySprites.clear(); pickupSprites.clear(); projectileSprites.clear();
 }
 
 function getPickupScale(pickupType) {
@@ -509,22 +489,45 @@ function getPickupScale(pickupType) {
     }
 }
 
+function createPickupSprite(p) {
+    const info = STATINFO[p.statType];
+    const [tx, ty] = statTile(p.statType, info.tile);
+    const mat = new THREE.SpriteMaterial({ map: spriteTile(tx, ty), transparent: true, alphaTest: 0.5 });
+    const sp = new THREE.Sprite(mat);
+    const pickupScale = getPickupScale(p.pickupType);
+    sp.center.set(0.5, 0);
+    sp.position.set(p.x, 0.02, p.z);
+    sp.scale.set(pickupScale, pickupScale, 1);
+    scene.add(sp);
+    pickupSprites.set(p, sp);
+    return sp;
+}
+
+function createEnemySprite(e) {
+    const typeDef = e.typeDef;
+    const sprites = getEnemySprites(e);
+    const mat = new THREE.SpriteMaterial({ map: sprites.stand[0], transparent: true, alphaTest: 0.5 });
+    if (sprites.fallback && typeDef.tint) mat.color.setRGB(...typeDef.tint);
+    const sp = new THREE.Sprite(mat);
+    sp.position.set(e.x, typeDef.scale[1] / 2, e.z);
+    sp.scale.set(typeDef.scale[0], typeDef.scale[1], 1);
+    scene.add(sp);
+    enemySprites.set(e, sp);
+    return sp;
+}
+
 function addCeilingLamp(wx, wz, warm = false) {
-    const cap = new THREE.Mesh(
+    const cap = addLevelMesh(new THREE.Mesh(
         new THREE.CylinderGeometry(0.24, 0.20, 0.10, 10),
         new THREE.MeshLambertMaterial({ color: warm ? 0xa67a2a : 0x1e7f56 })
-    );
+    ));
     cap.position.set(wx, WALL_H - 0.05, wz);
-    scene.add(cap);
-    levelMeshes.push(cap);
 
-    const bulb = new THREE.Mesh(
+    const bulb = addLevelMesh(new THREE.Mesh(
         new THREE.SphereGeometry(0.10, 10, 8),
         new THREE.MeshBasicMaterial({ color: warm ? 0xffd872 : 0x5dff75 })
-    );
+    ));
     bulb.position.set(wx, WALL_H - 0.16, wz);
-    scene.add(bulb);
-    levelMeshes.push(bulb);
 
     const light = new THREE.PointLight(warm ? 0xffdf9c : 0x9dff8f, warm ? 0.55 : 0.65, warm ? 7 : 8);
     light.position.set(wx, WALL_H - 0.22, wz);
@@ -532,12 +535,92 @@ function addCeilingLamp(wx, wz, warm = false) {
     levelLights.push(light);
 }
 
-function loadLevel(levelIdx) {
-    clearLevel();
-    const lvl = LEVELS[levelIdx];
-    if (!lvl) { console.error('Level not found:', levelIdx); return; }
+// Tiles filled by a secret wall's sliding block, including the one it is moving into
+function isPushwallTile(gx, gz) {
+    return levelPushwalls.some(pw => (pw.gridX === gx && pw.gridY === gz) ||
+        (pw.pushing && pw.gridX + pw.dirX === gx && pw.gridY + pw.dirZ === gz));
+}
+
+function getDrawnWall(gx, gz) {
+    const w = levelWalls[gz * MAP_SIZE + gx];
+    return w > 0 && !isPushwallTile(gx, gz) ? w : 0;
+}
+
+// Faces are only needed where a wall borders open floor, a door or a secret wall
+function isWallFaceOpen(gx, gz) {
+    return gx >= 0 && gx < MAP_SIZE && gz >= 0 && gz < MAP_SIZE && !drawnWalls[gz * MAP_SIZE + gx];
+}
 
-    levelWalls = lvl.walls.slice(); // copy
+// One mesh per wall value: the dark faces and the light faces each form a geometry group
+function buildWallMesh(value) {
+    const old = wallMeshes.get(value);
+    if (old) {
+        scene.remove(old);
+        old.geometry.dispose();
+        wallMeshes.delete(value);
+    }
+
+    const dark = [], light = [];
+    for (let i = 0; i < drawnWalls.length; i++) {
+        if (drawnWalls[i] !== value) continue;
+        const gx = i % MAP_SIZE, gz = Math.floor(i / MAP_SIZE);
+        for (const side of WALL_SIDES) {
+            if (isWallFaceOpen(gx + side.dx, gz + side.dz)) (side.dx ? dark : light).push({ gx, gz, side });
+        }
+    }
+    const faces = dark.concat(light);
+    if (!faces.length) return;
+
+    const positions = new Float32Array(faces.length * 12);
+    const normals = new Float32Array(faces.length * 12);
+    const uvs = new Float32Array(faces.length * 8);
+    const indices = [];
+    faces.forEach(({ gx, gz, side }, f) => {
+        const x0 = (gx + side.corner[0]) * CELL, z0 = (gz + side.corner[1]) * CELL;
+        const x1 = x0 + side.right[0] * CELL, z1 = z0 + side.right[1] * CELL;
+        positions.set([x0, 0, z0, x1, 0, z1, x1, WALL_H, z1, x0, WALL_H, z0], f * 12);
+        for (let v = 0; v < 4; v++) normals.set([side.dx, 0, side.dz], f * 12 + v * 3);
+        uvs.set([0, 0, 1, 0, 1, 1, 0, 1], f * 8);
+        const b = f * 4;
+        indices.push(b, b + 1, b + 2, b, b + 2, b + 3);
+    });
+
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geo.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    geo.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+    geo.setIndex(indices);
+    geo.addGroup(0, dark.length * 6, 0);
+    geo.addGroup(dark.length * 6, light.length * 6, 1);
+
+    const mats = getWallMaterials(value);
+    const mesh = new THREE.Mesh(geo, [mats[0], mats[4]]);
+    scene.add(mesh);
+    wallMeshes.set(value, mesh);
+}
+
+// A secret wall moved or a switch was thrown: rebuild only the wall values whose
+// faces touch the tile — what it held before, what it holds now and its neighbours
+function updateWallTile(gx, gz) {
+    if (viewStats !== levelStats) return; // the next frame rebuilds the whole view anyway
+    const i = gz * MAP_SIZE + gx;
+    const dirty = new Set([drawnWalls[i]]);
+    drawnWalls[i] = getDrawnWall(gx, gz);
+    dirty.add(drawnWalls[i]);
+    for (const side of WALL_SIDES) {
+        const nx = gx + side.dx, nz = gz + side.dz;
+        if (nx >= 0 && nx < MAP_SIZE && nz >= 0 && nz < MAP_SIZE) dirty.add(drawnWalls[nz * MAP_SIZE + nx]);
+    }
+    dirty.delete(0);
+    for (const value of dirty) buildWallMesh(value);
+}
+
+// Mirrors the floor the simulation just loaded (or restored from a save)
+function buildLevelView() {
+    clearLevelView();
+    viewStats = levelStats;
+    const lvl = LEVELS[levelIndex];
+    if (!lvl || !levelWalls) return;
 
     // Ceiling/floor colors from level data
     const ceilColor = lvl.ceiling ? ((lvl.ceiling[0] << 16) | (lvl.ceiling[1] << 8) | lvl.ceiling[2]) : 0x383838;
@@ -547,44 +630,35 @@ function loadLevel(levelIdx) {
     // Floor plane
     const floorGeo = new THREE.PlaneGeometry(MAP_SIZE * CELL, MAP_SIZE * CELL);
     const floorMat = new THREE.MeshBasicMaterial({ color: floorColor || 0x707070 });
-    const floor = new THREE.Mesh(floorGeo, floorMat);
+    const floor = addLevelMesh(new THREE.Mesh(floorGeo, floorMat));
     floor.rotation.x = -Math.PI / 2;
     floor.position.set(MAP_SIZE * CELL / 2, 0, MAP_SIZE * CELL / 2);
-    scene.add(floor);
-    levelMeshes.push(floor);
 
     // Ceiling plane
     const ceilGeo = new THREE.PlaneGeometry(MAP_SIZE * CELL, MAP_SIZE * CELL);
     const ceilMat = new THREE.MeshBasicMaterial({ color: ceilColor || 0x383838 });
-    const ceil = new THREE.Mesh(ceilGeo, ceilMat);
+    const ceil = addLevelMesh(new THREE.Mesh(ceilGeo, ceilMat));
     ceil.rotation.x = Math.PI / 2;
     ceil.position.set(MAP_SIZE * CELL / 2, WALL_H, MAP_SIZE * CELL / 2);
-    scene.add(ceil);
-    levelMeshes.push(ceil);
+
+    // Secret walls are blocks of their own
+    for (const pw of levelPushwalls) {
+        const mesh = addLevelMesh(new THREE.Mesh(wallGeo, getWallMaterials(pw.wallValue)));
+        mesh.position.set(pw.x, WALL_H / 2, pw.z);
+        pushwallMeshes.set(pw, mesh);
+    }
 
     // Build walls
-    for (let y = 0; y < MAP_SIZE; y++) {
-        for (let x = 0; x < MAP_SIZE; x++) {
-            const w = levelWalls[y * MAP_SIZE + x];
-            if (w > 0) {
-                // Solid wall
-                const mats = getWallMaterials(w);
-                const mesh = new THREE.Mesh(wallGeo, mats);
-                mesh.position.set(x * CELL + CELL / 2, WALL_H / 2, y * CELL + CELL / 2);
-                scene.add(mesh);
-                levelMeshes.push(mesh);
-            }
-        }
+    for (let i = 0; i < drawnWalls.length; i++) drawnWalls[i] = getDrawnWall(i % MAP_SIZE, Math.floor(i / MAP_SIZE));
+    for (const value of new Set(drawnWalls)) {
+        if (value) buildWallMesh(value);
     }
 
     // Place doors
-    for (const d of lvl.doors) {
-        const wx = d.x * CELL + CELL / 2;
-        const wz = d.y * CELL + CELL / 2;
-
+    for (const d of levelDoors) {
         let mats, geo;
-        if (d.type === 'elevator') mats = elevDoorMats;
-        else if (d.type === 'gold' || d.type === 'silver') mats = lockDoorMats;
+        if (d.doorType === 'elevator') mats = elevDoorMats;
+        else if (d.doorType === 'gold' || d.doorType === 'silver') mats = lockDoorMats;
         else mats = doorMats;
 
         if (d.vertical) {
@@ -595,1182 +669,267 @@ function loadLevel(levelIdx) {
             mats = mats.horiz;
         }
 
-        const doorMesh = new THREE.Mesh(geo, mats);
-        doorMesh.position.set(wx, WALL_H / 2, wz);
-        doorMesh.userData = {
-            isDoor: true,
-            doorType: d.type,
-            vertical: d.vertical,
-            gridX: d.x, gridY: d.y,
-            openAmount: 0, opening: false, open: false,
-            closing: false, closeTimer: 0,
-        };
-        scene.add(doorMesh);
-        levelMeshes.push(doorMesh);
-        levelDoors.push(doorMesh);
-
-        // Mark door cell in walls as -1 so collision/LOS treat it as a door cell.
-        levelWalls[d.y * MAP_SIZE + d.x] = -1;
+        const doorMesh = addLevelMesh(new THREE.Mesh(geo, mats));
+        doorMesh.position.set(d.gridX * CELL + CELL / 2, WALL_H / 2, d.gridY * CELL + CELL / 2);
+        doorMeshes.set(d, doorMesh);
     }
 
-    // Static objects
-    for (const s of lvl.statics) {
-        if (s.type === 'exit') {
-            // Exit marker — place invisible trigger
-            const sp = new THREE.Sprite(new THREE.SpriteMaterial({ visible: false }));
-            sp.position.set(s.x * CELL + CELL / 2, 0.5, s.y * CELL + CELL / 2);
-            sp.userData = { isExit: true };
-            scene.add(sp);
-            levelStatics.push(sp);
-            continue;
-        }
-        const typeIdx = (typeof s.type === 'number') ? s.type : -1;
-        if (typeIdx < 0 || typeIdx >= STATINFO.length) continue;
-        const info = STATINFO[typeIdx];
-        if (!info) continue;
-
-        const wx = s.x * CELL + CELL / 2;
-        const wz = s.y * CELL + CELL / 2;
-
-        if (typeIdx === 14 || typeIdx === 4) {
-            addCeilingLamp(wx, wz, typeIdx === 4);
-            continue;
-        }
-
-        if (typeIdx === 15) {
-            // Remove old hanging pans sprites.
+    // Static objects — ceiling lights become lamp models, hanging pans are left out
+    for (const s of levelStatics) {
+        if (s.isExit) continue;
+        if (s.statType === 14 || s.statType === 4) {
+            addCeilingLamp(s.x, s.z, s.statType === 4);
             continue;
         }
+        if (s.statType === 15) continue;
 
-        if (info.pickup) {
-            const [tx, ty] = statTile(typeIdx, info.tile);
-            // This is a pickup
-            const mat = new THREE.SpriteMaterial({ map: spriteTile(tx, ty), transparent: true, alphaTest: 0.5 });
-            const sp = new THREE.Sprite(mat);
-            const pickupScale = getPickupScale(info.pickup);
-            sp.center.set(0.5, 0);
-            sp.position.set(wx, 0.02, wz);
-            sp.scale.set(pickupScale, pickupScale, 1);
-            sp.userData = { isPickup: true, pickupType: info.pickup, sourceStatType: typeIdx, collected: false };
-            scene.add(sp);
-            levelPickups.push(sp);
-        } else {
-            const [tx, ty] = statTile(typeIdx, info.tile);
-            // Decorative / blocking static
-            const mat = new THREE.SpriteMaterial({ map: spriteTile(tx, ty), transparent: true, alphaTest: 0.5 });
-            const sp = new THREE.Sprite(mat);
-            sp.center.set(0.5, 0);
-            sp.position.set(wx, 0.02, wz);
-            sp.scale.set(1.0, 1.2, 1);
-            sp.userData = { blocking: info.block };
-            scene.add(sp);
-            levelStatics.push(sp);
-        }
-    }
-
-    // Enemies
-    for (const e of lvl.enemies) {
-        const typeDef = ENEMY_TYPES[e.type];
-        if (!typeDef) continue;
-        const wx = e.x * CELL + CELL / 2;
-        const wz = e.y * CELL + CELL / 2;
-
-        const initialMap = e.type === 'dog' ? dogWalkFrames[0] : guardTile(0, 0);
-        const mat = new THREE.SpriteMaterial({ map: initialMap, transparent: true, alphaTest: 0.5 });
-        if (typeDef.tint) mat.color.copy(typeDef.tint);
+        const [tx, ty] = statTile(s.statType, STATINFO[s.statType].tile);
+        const mat = new THREE.SpriteMaterial({ map: spriteTile(tx, ty), transparent: true, alphaTest: 0.5 });
         const sp = new THREE.Sprite(mat);
-        sp.position.set(wx, typeDef.scale[1] / 2, wz);
-        sp.scale.set(typeDef.scale[0], typeDef.scale[1], 1);
-        sp.userData = {
-            isEnemy: true, alive: true,
-            enemyType: e.type, typeDef,
-            health: typeDef.hp,
-            aiState: e.patrol ? AI.PATROL : AI.STAND,
-            shootCooldown: typeDef.cooldown[0] + Math.random() * (typeDef.cooldown[1] - typeDef.cooldown[0]),
-            alertTimer: 0, painTimer: 0, deathTimer: 0,
-            attackPhase: 'none', attackTimer: 0, attackDidFire: false,
-            deathFrame: 0, deathFrameTimer: 0,
-            alerted: false,
-            lastSeenX: wx, lastSeenZ: wz, lostSightTimer: 0,
-            patrolAngle: (e.dir || 0) * Math.PI / 2,
-            patrolTimer: 2 + Math.random() * 3,
-            walkFrame: 0, walkTimer: 0,
-            moveAngle: (e.dir || 0) * Math.PI / 2, moveTimer: 0,
-            dir: e.dir || 0,
-            baseScaleX: typeDef.scale[0], baseScaleY: typeDef.scale[1],
-            // Investigate state
-            investigateX: 0, investigateZ: 0, investigateTimer: 0,
-            // Dodge state (officers/SS)
-            dodgeTimer: 0, dodgeDir: 1,
-            // Door wait state
-            doorWaitTimer: 0, doorWaitX: 0, doorWaitZ: 0,
-        };
+        sp.center.set(0.5, 0);
+        sp.position.set(s.x, 0.02, s.z);
+        sp.scale.set(1.0, 1.2, 1);
         scene.add(sp);
-        levelEnemies.push(sp);
+        levelProps.push(sp);
     }
 
-    // Player spawn
-    camera.position.set(
-        lvl.spawnX * CELL + CELL / 2,
-        EYE_H,
-        lvl.spawnY * CELL + CELL / 2
-    );
-    playerY = EYE_H;
-    playerVelY = 0;
-    // Spawn angle: 0=east, 90=north, 180=west, 270=south (original Wolf3D)
-    // In our system: yaw=0 faces -Z (north), yaw=-PI/2 faces +X (east)
-    yaw = ((lvl.spawnAngle || 0) - 90) * Math.PI / 180;
-
-    camera.rotation.y = yaw;
-    camera.rotation.x = 0;
-    pitch = 0;
-
     // Music
-    playMusic(levelIdx);
-
-    console.log(`Loaded level ${levelIdx}: "${lvl.name}" — ${lvl.enemies.length} enemies, ${lvl.doors.length} doors, ${lvl.statics.length} statics`);
+    playMusic(levelIndex);
 }
 
-// ─── Collision ──────────────────────────────────
+// Once per rendered frame, after the simulation has ticked
+function syncLevelView() {
+    if (viewStats !== levelStats) buildLevelView();
 
-function isBlocked(wx, wz) {
-    const gx = Math.floor(wx / CELL);
-    const gz = Math.floor(wz / CELL);
-    if (gx < 0 || gx >= MAP_SIZE || gz < 0 || gz >= MAP_SIZE) return true;
-    const w = levelWalls[gz * MAP_SIZE + gx];
-    if (w > 0) return true;
-    if (w === -1) {
-        const door = levelDoors.find(d => d.userData.gridX === gx && d.userData.gridY === gz);
-        if (door && door.userData.openAmount >= DOOR_PASSABLE_OPEN) return false;
-        return true;
-    }
-    for (const s of levelStatics) {
-        if (s.userData.blocking) {
-            const sdx = wx - s.position.x, sdz = wz - s.position.z;
-            if (sdx * sdx + sdz * sdz < 0.36) return true; // 0.6² = 0.36, circular collision
-        }
+    for (const d of levelDoors) {
+        const slide = d.openAmount * DOOR_TRAVEL;
+        const mesh = doorMeshes.get(d);
+        mesh.position.x = d.gridX * CELL + CELL / 2 + (d.vertical ? 0 : slide);
+        mesh.position.z = d.gridY * CELL + CELL / 2 + (d.vertical ? slide : 0);
     }
-    return false;
-}
-
-// Grid-level blocked check (for pathfinding — ignores statics, treats doors as passable)
-function isTileBlocked(gx, gz) {
-    if (gx < 0 || gx >= MAP_SIZE || gz < 0 || gz >= MAP_SIZE) return true;
-    const w = levelWalls[gz * MAP_SIZE + gx];
-    if (w > 0) return true;
-    return false; // doors (-1) and empty (0) are passable for pathfinding
-}
+    for (const pw of levelPushwalls) pushwallMeshes.get(pw).position.set(pw.x, WALL_H / 2, pw.z);
 
-// Check if a tile has a closed door
-function getDoorAt(gx, gz) {
-    if (gx < 0 || gx >= MAP_SIZE || gz < 0 || gz >= MAP_SIZE) return null;
-    if (levelWalls[gz * MAP_SIZE + gx] !== -1) return null;
-    return levelDoors.find(d => d.userData.gridX === gx && d.userData.gridY === gz) || null;
-}
+    // Enemies and pickups can appear mid-floor (Hitler's second phase, dropped clips)
+    for (const e of levelEnemies) updateEnemySprite(e, enemySprites.get(e) || createEnemySprite(e));
+    for (const p of levelPickups) (pickupSprites.get(p) || createPickupSprite(p)).visible = !p.collected;
 
-function hasLineOfSight(x1, z1, x2, z2) {
-    const dx = x2 - x1, dz = z2 - z1;
-    const dist = Math.sqrt(dx * dx + dz * dz);
-    if (dist < 0.1) return true; // same spot
-    // Use finer step size for better accuracy, skip start and end cells
-    const stepSize = 0.4;
-    const steps = Math.max(2, Math.ceil(dist / stepSize));
-    const startGX = Math.floor(x1 / CELL), startGZ = Math.floor(z1 / CELL);
-    const endGX = Math.floor(x2 / CELL), endGZ = Math.floor(z2 / CELL);
-    for (let i = 1; i < steps; i++) {
-        const t = i / steps;
-        const cx = x1 + dx * t, cz = z1 + dz * t;
-        const gx = Math.floor(cx / CELL), gz = Math.floor(cz / CELL);
-        // Skip the start and end cells (entities might be in door cells)
-        if (gx === startGX && gz === startGZ) continue;
-        if (gx === endGX && gz === endGZ) continue;
-        if (gx < 0 || gx >= MAP_SIZE || gz < 0 || gz >= MAP_SIZE) return false;
-        const w = levelWalls[gz * MAP_SIZE + gx];
-        if (w > 0) return false;
-        if (w === -1) {
-            const door = levelDoors.find(d => d.userData.gridX === gx && d.userData.gridY === gz);
-            if (!door || door.userData.openAmount < DOOR_PASSABLE_OPEN) return false;
-        }
+    for (const [p, sp] of projectileSprites) {
+        if (levelProjectiles.includes(p)) continue;
+        scene.remove(sp);
+        sp.material.dispose();
+        projectileSprites.delete(p);
     }
-    return true;
-}
+    for (const p of levelProjectiles) (projectileSprites.get(p) || createProjectileSprite(p)).position.set(p.x, p.y, p.z);
 
-function normalizeAngle(a) {
-    while (a > Math.PI) a -= Math.PI * 2;
-    while (a < -Math.PI) a += Math.PI * 2;
-    return a;
+    camera.position.set(player.x, player.y + player.bob * HEAD_BOB, player.z);
+    camera.rotation.y = player.yaw;
+    camera.rotation.x = player.pitch;
+    playerLight.position.copy(camera.position);
+    placeWeaponSprite(player.bob * 2, Math.abs(player.bob) * 4);
 }
 
-function setEnemyTexture(e, tex) {
-    if (e.material.map !== tex) {
-        e.material.map = tex;
-        e.material.needsUpdate = true;
+// ─── Enemy Sprites ──────────────────────────────
+
+function setEnemyTexture(sp, tex) {
+    if (sp.material.map !== tex) {
+        sp.material.map = tex;
+        sp.material.needsUpdate = true;
     }
 }
 
 function getEnemyDeathFrames(e) {
-    return e.userData.enemyType === 'dog' ? dogDeathFrames : guardDeathFrames;
+    return getEnemySprites(e).death;
 }
 
 function getEnemyDeathPose(e) {
-    return e.userData.enemyType === 'dog' ? dogDeathPose : guardDeathPose;
+    return getEnemySprites(e).deathPose;
 }
 
-function setEnemyDeathFrame(e, frameIdx) {
+function setEnemyDeathFrame(e, sp, frameIdx) {
+    const [scaleX, scaleY] = e.typeDef.scale;
     const frames = getEnemyDeathFrames(e);
     const poses = getEnemyDeathPose(e);
     const idx = Math.max(0, Math.min(frameIdx, frames.length - 1));
     const pose = poses[Math.min(idx, poses.length - 1)];
-    setEnemyTexture(e, frames[idx]);
-    e.scale.set(e.userData.baseScaleX * pose.sx, e.userData.baseScaleY * pose.sy, 1);
-    e.position.y = e.userData.baseScaleY * pose.y;
-}
-
-function startEnemyAttack(e) {
-    e.userData.aiState = AI.ATTACK;
-    e.userData.attackPhase = 'aim';
-    e.userData.attackTimer = 0.14 + Math.random() * 0.10; // faster reaction before firing
-    e.userData.attackDidFire = false;
-}
-
-function finishEnemyAttack(e) {
-    const td = e.userData.typeDef;
-    e.userData.attackPhase = 'none';
-    e.userData.attackTimer = 0;
-    e.userData.attackDidFire = false;
-    if (td.dodges && Math.random() < 0.6) {
-        e.userData.aiState = AI.DODGE;
-        e.userData.dodgeTimer = 0.35 + Math.random() * 0.35;
-        e.userData.dodgeDir = Math.random() < 0.5 ? 1 : -1;
-    } else {
-        e.userData.aiState = AI.CHASE;
-    }
-}
-
-function applyPlayerDamageFeedback(dmg) {
-    if (dmg <= 0) return;
-    state.health = Math.max(0, state.health - dmg);
-    playSound(SFX.playerDamage, 0.5);
-    const ov = document.getElementById('damage-overlay');
-    ov.style.opacity = '0.6';
-    setTimeout(() => { ov.style.opacity = '0'; }, 200);
-}
-
-function enemyAttemptHitPlayer(e, dist) {
-    const td = e.userData.typeDef;
-    const tileDist = dist / CELL;
-    let effectiveDist = tileDist;
-    if (e.userData.enemyType === 'ss' || e.userData.enemyType === 'boss') {
-        effectiveDist = (effectiveDist * 2) / 3;
-    }
-
-    // Match classic Wolf3D behavior: running makes enemy shots less accurate.
-    let hitChance = playerMoveSpeed >= state.moveSpeed * 1.35 ? 160 : 256;
-    const playerToEnemy = Math.atan2(e.position.x - camera.position.x, e.position.z - camera.position.z);
-    const facingDiff = Math.abs(normalizeAngle(playerToEnemy - yaw));
-    hitChance -= effectiveDist * (facingDiff < Math.PI / 3 ? 16 : 8);
-    hitChance = Math.max(8, Math.min(255, hitChance));
-
-    if (Math.floor(Math.random() * 256) >= hitChance) return;
-
-    let rawDamage = Math.floor(Math.random() * 256);
-    if (effectiveDist < 2) rawDamage >>= 2;
-    else if (effectiveDist < 4) rawDamage >>= 3;
-    else rawDamage >>= 4;
-
-    const typeScale = Math.max(0.4, (td.dmg[0] + td.dmg[1]) / 24);
-    const dmg = Math.min(td.dmg[1] * 3, Math.max(1, Math.round(rawDamage * typeScale)));
-    applyPlayerDamageFeedback(dmg);
+    setEnemyTexture(sp, frames[idx]);
+    sp.scale.set(scaleX * pose.sx, scaleY * pose.sy, 1);
+    sp.position.y = scaleY * pose.y;
 }
 
-function enemyFireAtPlayer(e, dist) {
-    const td = e.userData.typeDef;
-    playSpatialSound(td.atkSfx, e.position.x, e.position.z, 0.7);
-
-    // Separate additive flash sprite removed to avoid extra glow.
-    // Shooting flash is shown directly in guardShootFireTex.
-
-    if (td.melee) {
-        if (dist >= 1.35) return;
-        if (!hasLineOfSight(e.position.x, e.position.z, camera.position.x, camera.position.z)) return;
-        if (Math.floor(Math.random() * 256) >= 180) return;
-        const rawDamage = Math.floor(Math.random() * 256) >> 4;
-        const dmg = Math.max(td.dmg[0], Math.min(td.dmg[1], rawDamage));
-        applyPlayerDamageFeedback(dmg);
-        return;
-    }
-
-    if (dist >= td.shootDist) return;
-    if (!hasLineOfSight(e.position.x, e.position.z, camera.position.x, camera.position.z)) return;
-    enemyAttemptHitPlayer(e, dist);
-}
-
-// ─── A* Pathfinding ─────────────────────────────
-// Grid-based A* that finds path through doors (treats them as passable with +2 cost)
-
-const _pathCache = new Map();
-let _pathCacheFrame = 0;
-
-function findPath(startX, startZ, goalX, goalZ, maxSteps = 200) {
-    const sx = Math.floor(startX / CELL), sz = Math.floor(startZ / CELL);
-    const gx = Math.floor(goalX / CELL), gz = Math.floor(goalZ / CELL);
-    if (sx === gx && sz === gz) return null; // already there
-
-    // Cache key — reuse paths computed this frame
-    const cacheKey = `${sx},${sz}-${gx},${gz}`;
-    if (_pathCache.has(cacheKey)) return _pathCache.get(cacheKey);
-
-    // A* with Manhattan heuristic
-    const open = []; // min-heap by f
-    const gScore = new Map();
-    const cameFrom = new Map();
-    const key = (x, z) => x * MAP_SIZE + z;
-
-    const startKey = key(sx, sz);
-    gScore.set(startKey, 0);
-    open.push({ x: sx, z: sz, f: Math.abs(gx - sx) + Math.abs(gz - sz) });
-
-    // 4-directional neighbors (cardinal only — like Wolf3D)
-    const dirs = [[1,0],[-1,0],[0,1],[0,-1]];
-
-    let steps = 0;
-    while (open.length > 0 && steps++ < maxSteps) {
-        // Find lowest f
-        let bestIdx = 0;
-        for (let i = 1; i < open.length; i++)
-            if (open[i].f < open[bestIdx].f) bestIdx = i;
-        const cur = open.splice(bestIdx, 1)[0];
-        const curKey = key(cur.x, cur.z);
-
-        if (cur.x === gx && cur.z === gz) {
-            // Reconstruct path — return next step
-            let k = curKey;
-            const path = [];
-            while (cameFrom.has(k)) {
-                const px = Math.floor(k / MAP_SIZE), pz = k % MAP_SIZE;
-                path.unshift({ x: px, z: pz });
-                k = cameFrom.get(k);
-            }
-            if (path.length > 0) {
-                _pathCache.set(cacheKey, path);
-                return path;
-            }
-            return null;
-        }
-
-        for (const [ddx, ddz] of dirs) {
-            const nx = cur.x + ddx, nz = cur.z + ddz;
-            if (isTileBlocked(nx, nz)) continue;
-
-            const nKey = key(nx, nz);
-            // Doors cost extra to traverse (encourages open paths)
-            const doorAt = getDoorAt(nx, nz);
-            const moveCost = doorAt && !doorAt.userData.open ? 3 : 1;
-            const tentG = (gScore.get(curKey) || 0) + moveCost;
-
-            if (!gScore.has(nKey) || tentG < gScore.get(nKey)) {
-                gScore.set(nKey, tentG);
-                cameFrom.set(nKey, curKey);
-                const h = Math.abs(gx - nx) + Math.abs(gz - nz);
-                open.push({ x: nx, z: nz, f: tentG + h });
-            }
-        }
-    }
-
-    _pathCache.set(cacheKey, null);
-    return null; // no path found
-}
-
-// ─── Sound Alert Propagation (BFS through doors) ────
-
-function alertEnemiesBySound(sourceX, sourceZ, radius) {
-    // BFS flood-fill from source through open spaces and doors
-    // Alerts enemies within the flood area + direct radius
-    const sgx = Math.floor(sourceX / CELL), sgz = Math.floor(sourceZ / CELL);
-    const visited = new Set();
-    const queue = [{ x: sgx, z: sgz, dist: 0 }];
-    visited.add(sgx * MAP_SIZE + sgz);
-
-    const maxFlood = Math.ceil(radius / CELL);
-    const alertedCells = new Set();
-
-    while (queue.length > 0) {
-        const { x, z, dist } = queue.shift();
-        alertedCells.add(x * MAP_SIZE + z);
-
-        if (dist >= maxFlood) continue;
-
-        const dirs = [[1,0],[-1,0],[0,1],[0,-1]];
-        for (const [dx, dz] of dirs) {
-            const nx = x + dx, nz = z + dz;
-            const nk = nx * MAP_SIZE + nz;
-            if (visited.has(nk)) continue;
-            visited.add(nk);
-            if (nx < 0 || nx >= MAP_SIZE || nz < 0 || nz >= MAP_SIZE) continue;
-            const w = levelWalls[nz * MAP_SIZE + nx];
-            if (w > 0) continue; // wall blocks sound
-            // Sound passes through open doors and open space
-            if (w === -1) {
-                const door = getDoorAt(nx, nz);
-                if (door && door.userData.openAmount < 0.3) continue; // closed door blocks most sound
-            }
-            queue.push({ x: nx, z: nz, dist: dist + 1 });
-        }
-    }
-
-    // Alert all enemies standing in flooded cells
-    for (const e of levelEnemies) {
-        if (!e.userData.alive) continue;
-        const egx = Math.floor(e.position.x / CELL);
-        const egz = Math.floor(e.position.z / CELL);
-        if (alertedCells.has(egx * MAP_SIZE + egz)) {
-            // Bug G fix: Don't downgrade enemies already chasing/attacking/dodging
-            const ai = e.userData.aiState;
-            if (ai === AI.CHASE || ai === AI.ATTACK || ai === AI.DODGE || ai === AI.PAIN) continue;
-            e.userData.alerted = true;
-            e.userData.aiState = AI.INVESTIGATE;
-            e.userData.investigateX = sourceX;
-            e.userData.investigateZ = sourceZ;
-            e.userData.investigateTimer = 4 + Math.random() * 3;
-            // Mutants are silent — no alert sound
-            if (!e.userData.typeDef.silent) {
-                playSpatialSound(e.userData.typeDef.alertSfx, e.position.x, e.position.z, 0.6);
-            }
-        }
-    }
-}
-
-// Enemy tries to open a door in its path
-function enemyTryOpenDoor(e, gx, gz) {
-    const door = getDoorAt(gx, gz);
-    if (!door || door.userData.open) return false;
-    if (door.userData.opening && !door.userData.closing) return false;
-    // Enemies can't open locked/elevator doors
-    if (door.userData.doorType === 'gold' || door.userData.doorType === 'silver' || door.userData.doorType === 'elevator') return false;
-    if (!e.userData.typeDef.canOpenDoors) return false;
-
-    if (door.userData.closing) door.userData.closing = false;
-    door.userData.opening = true;
-    const bx = gx * CELL + CELL / 2, bz = gz * CELL + CELL / 2;
-    playSpatialSound(SFX.doorOpen, bx, bz, 0.8);
-    // Enemy waits for door to open
-    e.userData.aiState = AI.DOOR_WAIT;
-    e.userData.doorWaitTimer = 1.0;
-    e.userData.doorWaitX = gx;
-    e.userData.doorWaitZ = gz;
-    return true;
-}
-
-// ─── Door System ────────────────────────────────
-
-function tryOpenDoor() {
-    const fwd = new THREE.Vector3(-Math.sin(yaw), 0, -Math.cos(yaw));
-    const checkX = camera.position.x + fwd.x * 2;
-    const checkZ = camera.position.z + fwd.z * 2;
-
-    for (const door of levelDoors) {
-        // Use grid-based position for distance check (stable, doesn't move with animation)
-        const doorBaseX = door.userData.gridX * CELL + CELL / 2;
-        const doorBaseZ = door.userData.gridY * CELL + CELL / 2;
-        const dx = checkX - doorBaseX;
-        const dz = checkZ - doorBaseZ;
-        if (Math.abs(dx) < CELL && Math.abs(dz) < CELL) {
-            // Skip already fully open or already opening doors
-            if (door.userData.open || (door.userData.opening && !door.userData.closing)) continue;
-
-            const dt = door.userData.doorType;
-
-            // Check key requirements
-            if (dt === 'gold' && !state.keys.gold) {
-                showNotification('You need a gold key!');
-                return;
-            }
-            if (dt === 'silver' && !state.keys.silver) {
-                showNotification('You need a silver key!');
-                return;
-            }
-
-            // If closing, reverse to opening
-            if (door.userData.closing) {
-                door.userData.closing = false;
-            }
-            door.userData.opening = true;
-            playSpatialSound(SFX.doorOpen, doorBaseX, doorBaseZ, 0.8);
-        }
-    }
-}
-
-let notificationText = '';
-let notificationTimer = 0;
-
-function showNotification(text) {
-    notificationText = text;
-    notificationTimer = 2;
-}
-
-let pickupFlashTimer = 0;
-function showPickupFlash() {
-    pickupFlashTimer = 0.15;
-}
-
-// ─── Shooting ───────────────────────────────────
-
-function getWeaponFireRate() {
-    switch (state.weapon) {
-        case 'chaingun': return 0.12;
-        case 'machinegun': return 0.2;
-        default: return 0.4;
-    }
-}
-
-function getWeaponSound() {
-    switch (state.weapon) {
-        case 'chaingun': return SFX.chaingunFire;
-        case 'machinegun': return SFX.machinegunFire;
-        default: return SFX.pistolFire;
-    }
-}
-
-function shoot() {
-    if (state.shootCooldown > 0 || state.ammo <= 0 || gameOver) return;
-    state.ammo--;
-    state.shootCooldown = getWeaponFireRate();
-    weaponFiring = true;
-    setTimeout(() => { weaponFiring = false; }, 90);
-
-    playSound(getWeaponSound(), 0.7);
-
-    // Raycast hit check
-    const camDir = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
-    let closestHit = null, closestDist = Infinity;
-
-    for (const e of levelEnemies) {
-        if (!e.userData.alive) continue;
-        const d = camera.position.distanceTo(e.position);
-        if (d > 25 || d >= closestDist) continue;
-        const dir = new THREE.Vector3().subVectors(e.position, camera.position).normalize();
-        const dotThreshold = Math.max(0.92, 0.98 - (1 / (d + 1)) * 0.1);
-        if (dir.dot(camDir) > dotThreshold && hasLineOfSight(camera.position.x, camera.position.z, e.position.x, e.position.z)) {
-            closestDist = d;
-            closestHit = e;
-        }
-    }
-
-    if (closestHit) {
-        const e = closestHit;
-        const td = e.userData.typeDef;
-        let damage;
-        switch (state.weapon) {
-            case 'chaingun': damage = 15 + Math.floor(Math.random() * 15); break;
-            case 'machinegun': damage = 10 + Math.floor(Math.random() * 12); break;
-            default: damage = 15 + Math.floor(Math.random() * 10); break;
-        }
-        e.userData.health -= damage;
-        if (e.userData.health <= 0) {
-            killEnemy(e);
-        } else {
-            // Flash hit indicator
-            e.material.color.set(0xffffff);
-            setTimeout(() => {
-                if (e.userData.alive && td.tint) e.material.color.copy(td.tint);
-                else if (e.userData.alive) e.material.color.set(0xffffff);
-            }, 100);
-
-            // Bosses ignore pain — keep attacking
-            if (td.noPain) {
-                if (!e.userData.alerted) {
-                    e.userData.alerted = true;
-                    e.userData.aiState = AI.CHASE;
-                    e.userData.lastSeenX = camera.position.x;
-                    e.userData.lastSeenZ = camera.position.z;
-                }
-            } else {
-                // Normal enemies enter pain state
-                e.userData.aiState = AI.PAIN;
-                e.userData.painTimer = 0.3 + Math.random() * 0.2;
-                if (!e.userData.alerted) {
-                    e.userData.alerted = true;
-                }
-            }
-        }
-        alertNearbyEnemies(e.position.x, e.position.z, 15);
-    }
-    alertNearbyEnemies(camera.position.x, camera.position.z, 12);
-}
-
-function killEnemy(e) {
-    const td = e.userData.typeDef;
-    e.userData.alive = false;
-    e.userData.aiState = AI.DYING;
-    e.userData.deathFrame = 0;
-    e.userData.deathFrameTimer = 0.12; // first frame hold time
-    e.userData.attackPhase = 'none';
-    e.userData.attackTimer = 0;
-    e.userData.attackDidFire = false;
-    const deathSnd = Array.isArray(td.deathSfx)
-        ? td.deathSfx[Math.floor(Math.random() * td.deathSfx.length)]
-        : td.deathSfx;
-    playSpatialSound(deathSnd, e.position.x, e.position.z, 0.8);
-    setEnemyDeathFrame(e, 0);
-    e.material.color.set(0xffffff);
-    if (td.tint) e.material.color.copy(td.tint);
-    state.score += td.score;
-
-    // Drop ammo — original Wolf3D: all enemies except dogs drop ammo clip
-    if (e.userData.enemyType !== 'dog') {
-        const [clipCol, clipRow] = statTile(26, [12, 3]);
-        const mat = new THREE.SpriteMaterial({ map: spriteTile(clipCol, clipRow), transparent: true, alphaTest: 0.5 });
-        const pickup = new THREE.Sprite(mat);
-        pickup.center.set(0.5, 0);
-        pickup.position.set(e.position.x, 0.02, e.position.z);
-        pickup.scale.set(0.66, 0.66, 1);
-        pickup.userData = { isPickup: true, pickupType: 'ammo', sourceStatType: 26, collected: false };
-        scene.add(pickup);
-        levelPickups.push(pickup);
-    }
-}
-
-function alertNearbyEnemies(wx, wz, radius) {
-    // Use BFS sound propagation — alerts through open doors
-    alertEnemiesBySound(wx, wz, radius);
-}
-
-// ─── Enemy AI ───────────────────────────────────
-
-function updateEnemySprite(e) {
-    const ai = e.userData.aiState;
+function updateEnemySprite(e, sp) {
+    sp.position.x = e.x;
+    sp.position.z = e.z;
+    const ai = e.aiState;
     const deathFrames = getEnemyDeathFrames(e);
     if (ai === AI.DEAD) {
-        setEnemyDeathFrame(e, deathFrames.length - 1);
+        setEnemyDeathFrame(e, sp, deathFrames.length - 1);
         return;
     }
 
     if (ai === AI.DYING) {
-        setEnemyDeathFrame(e, e.userData.deathFrame || 0);
+        setEnemyDeathFrame(e, sp, Math.floor(e.deathTime / DEATH_FRAME_TIME));
         return;
     }
 
+    const sprites = getEnemySprites(e);
     if (ai === AI.ATTACK) {
-        const tex = e.userData.enemyType === 'dog'
-            ? (e.userData.attackPhase === 'fire' ? dogJumpFrames[1] : dogJumpFrames[0])
-            : (e.userData.attackPhase === 'fire' ? guardShootFireTex : guardShootAimTex);
-        setEnemyTexture(e, tex);
+        setEnemyTexture(sp, e.attackPhase === 'fire' ? sprites.fire : sprites.aim);
         return;
     }
 
     if (ai === AI.PAIN) {
-        setEnemyTexture(e, e.userData.enemyType === 'dog' ? dogJumpFrames[0] : guardPainTex);
+        setEnemyTexture(sp, sprites.pain);
         return;
     }
 
-    if (!e.userData.alive) return;
+    if (!e.alive) return;
 
     // Use real movement direction for walk animation to avoid backward/sliding motion.
-    const hasRecentMove = (e.userData.moveTimer || 0) > 0.01;
-    const facePlayerAngle = Math.atan2(camera.position.x - e.position.x, camera.position.z - e.position.z);
+    const hasRecentMove = (e.moveTimer || 0) > 0.01;
+    const facePlayerAngle = Math.atan2(player.x - e.x, player.z - e.z);
     const faceInvestigateAngle = Math.atan2(
-        (e.userData.investigateX || camera.position.x) - e.position.x,
-        (e.userData.investigateZ || camera.position.z) - e.position.z
+        (e.investigateX || player.x) - e.x,
+        (e.investigateZ || player.z) - e.z
     );
 
-    let enemyFacing = e.userData.patrolAngle || 0;
+    let enemyFacing = e.patrolAngle || 0;
     if (ai === AI.PATROL || ai === AI.CHASE || ai === AI.INVESTIGATE || ai === AI.DODGE) {
-        if (hasRecentMove && Number.isFinite(e.userData.moveAngle)) enemyFacing = e.userData.moveAngle;
-        else if (ai === AI.PATROL) enemyFacing = e.userData.patrolAngle || 0;
+        if (hasRecentMove && Number.isFinite(e.moveAngle)) enemyFacing = e.moveAngle;
+        else if (ai === AI.PATROL) enemyFacing = e.patrolAngle || 0;
         else if (ai === AI.INVESTIGATE) enemyFacing = faceInvestigateAngle;
         else enemyFacing = facePlayerAngle;
     } else if (ai === AI.STAND || ai === AI.ALERT || ai === AI.DOOR_WAIT) {
-        if (e.userData.alerted) enemyFacing = facePlayerAngle;
+        if (e.alerted) enemyFacing = facePlayerAngle;
     }
 
     // Camera-to-enemy angle (from camera's perspective looking at the enemy)
-    const cameraToEnemy = Math.atan2(e.position.x - camera.position.x, e.position.z - camera.position.z);
+    const cameraToEnemy = Math.atan2(e.x - player.x, e.z - player.z);
     // Relative angle: difference between the direction enemy faces and the camera's view angle
     const relAngle = normalizeAngle(enemyFacing - cameraToEnemy);
 
     // Map to 8-directional frame (0 = facing camera, 4 = facing away)
     let frame = Math.round((relAngle + Math.PI) / (2 * Math.PI) * 8) % 8;
 
-    let tex;
-    if (e.userData.enemyType === 'dog') {
-        let walkStep = 0;
-        if (ai === AI.CHASE || ai === AI.PATROL || ai === AI.INVESTIGATE || ai === AI.DODGE) {
-            walkStep = Math.floor(e.userData.walkFrame) % 4;
-        }
-        tex = dogWalkFrames[Math.min(walkStep * 8 + frame, dogWalkFrames.length - 1)];
-    } else {
-        let frameRow = 0;
-        if (ai === AI.CHASE || ai === AI.PATROL || ai === AI.INVESTIGATE || ai === AI.DODGE) {
-            frameRow = 1 + (Math.floor(e.userData.walkFrame) % 4);
-        } else if (ai === AI.DOOR_WAIT) {
-            frameRow = 0;
-        }
-        tex = guardFrames[Math.min(frameRow * 8 + frame, guardFrames.length - 1)];
-    }
-    setEnemyTexture(e, tex);
-}
-
-// Move enemy toward world position using A* pathfinding
-function moveEnemyToward(e, targetX, targetZ, dt) {
-    const td = e.userData.typeDef;
-    const speed = td.speed * dt;
-
-    // Direct movement first — if clear line
-    const ddx = targetX - e.position.x, ddz = targetZ - e.position.z;
-    const dDist = Math.sqrt(ddx * ddx + ddz * ddz);
-
-    if (dDist < 0.5) return true; // arrived
-
-    const dirX = ddx / dDist, dirZ = ddz / dDist;
-    const nx = e.position.x + dirX * speed;
-    const nz = e.position.z + dirZ * speed;
-
-    // Try direct movement
-    if (!isBlocked(nx, nz)) {
-        e.position.x = nx; e.position.z = nz;
-        return false;
-    }
-
-    // Direct blocked — check if blocked by a door and try to open it
-    const nextGX = Math.floor(nx / CELL), nextGZ = Math.floor(nz / CELL);
-    const doorAhead = getDoorAt(nextGX, nextGZ);
-    if (doorAhead && !doorAhead.userData.open && !doorAhead.userData.opening) {
-        if (enemyTryOpenDoor(e, nextGX, nextGZ)) return false;
-    }
-
-    // Try axis-sliding
-    if (!isBlocked(nx, e.position.z)) { e.position.x = nx; return false; }
-    if (!isBlocked(e.position.x, nz)) { e.position.z = nz; return false; }
-
-    // Fully blocked — use A* pathfinding
-    const path = findPath(e.position.x, e.position.z, targetX, targetZ);
-    if (path && path.length > 0) {
-        const nextCell = path[0];
-        const cellWX = nextCell.x * CELL + CELL / 2;
-        const cellWZ = nextCell.z * CELL + CELL / 2;
-
-        // Check if next cell has a closed door
-        const doorInPath = getDoorAt(nextCell.x, nextCell.z);
-        if (doorInPath && !doorInPath.userData.open && !doorInPath.userData.opening) {
-            if (enemyTryOpenDoor(e, nextCell.x, nextCell.z)) return false;
-        }
+    // Boss and ghost sheets have a single facing
+    if (!sprites.directional) frame = 0;
 
-        const pdx = cellWX - e.position.x, pdz = cellWZ - e.position.z;
-        const pDist = Math.sqrt(pdx * pdx + pdz * pdz);
-        if (pDist > 0.1) {
-            const pmx = e.position.x + (pdx / pDist) * speed;
-            const pmz = e.position.z + (pdz / pDist) * speed;
-            if (!isBlocked(pmx, pmz)) { e.position.x = pmx; e.position.z = pmz; }
-            else if (!isBlocked(pmx, e.position.z)) { e.position.x = pmx; }
-            else if (!isBlocked(e.position.x, pmz)) { e.position.z = pmz; }
-        }
-    } else {
-        // Bug F fix: Fallback when A* returns no path — try random perpendicular movement
-        const perpAngle = Math.atan2(dirX, dirZ) + (Math.random() < 0.5 ? Math.PI / 2 : -Math.PI / 2);
-        const fx = e.position.x + Math.sin(perpAngle) * speed;
-        const fz = e.position.z + Math.cos(perpAngle) * speed;
-        if (!isBlocked(fx, fz)) { e.position.x = fx; e.position.z = fz; }
+    let frames = sprites.stand;
+    if (ai === AI.CHASE || ai === AI.PATROL || ai === AI.INVESTIGATE || ai === AI.DODGE || ai === AI.GHOST) {
+        frames = sprites.walk[Math.floor(e.walkFrame) % sprites.walk.length];
     }
-    return false;
+    setEnemyTexture(sp, frames[Math.min(frame, frames.length - 1)]);
 }
 
-function updateEnemies(dt) {
-    // Clear pathfinding cache each frame
-    _pathCacheFrame++;
-    if (_pathCacheFrame % 15 === 0) _pathCache.clear(); // clear every 15 frames
-
-    for (const e of levelEnemies) {
-        if (e.userData.aiState === AI.DEAD) {
-            setEnemyDeathFrame(e, getEnemyDeathFrames(e).length - 1);
-            continue;
-        }
-
-        if (e.userData.aiState === AI.DYING) {
-            e.userData.deathFrameTimer -= dt;
-            if (e.userData.deathFrameTimer <= 0) {
-                if (e.userData.deathFrame < getEnemyDeathFrames(e).length - 1) {
-                    e.userData.deathFrame++;
-                    e.userData.deathFrameTimer = 0.12;
-                } else {
-                    e.userData.aiState = AI.DEAD;
-                }
-            }
-            updateEnemySprite(e);
-            continue;
-        }
-
-        if (!e.userData.alive) continue;
-
-        const td = e.userData.typeDef;
-        const dx = camera.position.x - e.position.x;
-        const dz = camera.position.z - e.position.z;
-        const dist = Math.sqrt(dx * dx + dz * dz);
-
-        // Track position before update — walk animation only advances when actually moving
-        const prevX = e.position.x, prevZ = e.position.z;
-
-        // ── Check for player visibility (shared across states) ──
-        const canSee = dist < td.alertDist && hasLineOfSight(e.position.x, e.position.z, camera.position.x, camera.position.z);
-
-        switch (e.userData.aiState) {
-
-            // ════════ STAND — idle, looking for player ════════
-            case AI.STAND: {
-                if (canSee && dist < td.alertDist) {
-                    e.userData.alerted = true;
-                    // Mutants skip alert pause — fire instantly
-                    if (td.silent) {
-                        e.userData.aiState = AI.CHASE;
-                        e.userData.lastSeenX = camera.position.x;
-                        e.userData.lastSeenZ = camera.position.z;
-                    } else {
-                        e.userData.aiState = AI.ALERT;
-                        e.userData.alertTimer = 0.10 + Math.random() * 0.15;
-                        playSpatialSound(td.alertSfx, e.position.x, e.position.z, 0.6);
-                    }
-                } else {
-                    e.userData.patrolTimer -= dt;
-                    if (e.userData.patrolTimer <= 0) {
-                        e.userData.patrolTimer = 3 + Math.random() * 4;
-                        e.userData.aiState = AI.PATROL;
-                        e.userData.patrolAngle = Math.random() * Math.PI * 2;
-                    }
-                }
-                break;
-            }
-
-            // ════════ PATROL — wandering ════════
-            case AI.PATROL: {
-                const speed = td.speed * 0.4 * dt;
-                const nx = e.position.x + Math.sin(e.userData.patrolAngle) * speed;
-                const nz = e.position.z + Math.cos(e.userData.patrolAngle) * speed;
-                if (!isBlocked(nx, nz)) { e.position.x = nx; e.position.z = nz; }
-                else { e.userData.patrolAngle += Math.PI * 0.5 + Math.random() * Math.PI; }
-                e.userData.patrolTimer -= dt;
-                if (e.userData.patrolTimer <= 0) {
-                    e.userData.aiState = AI.STAND;
-                    e.userData.patrolTimer = 2 + Math.random() * 3;
-                }
-                if (canSee && dist < td.alertDist) {
-                    e.userData.alerted = true;
-                    if (td.silent) {
-                        e.userData.aiState = AI.CHASE;
-                        e.userData.lastSeenX = camera.position.x;
-                        e.userData.lastSeenZ = camera.position.z;
-                    } else {
-                        e.userData.aiState = AI.ALERT;
-                        e.userData.alertTimer = 0.08 + Math.random() * 0.12;
-                        playSpatialSound(td.alertSfx, e.position.x, e.position.z, 0.6);
-                    }
-                }
-                break;
-            }
-
-            // ════════ ALERT — just spotted player, brief pause ════════
-            case AI.ALERT: {
-                e.userData.alertTimer -= dt;
-                if (e.userData.alertTimer <= 0) {
-                    e.userData.aiState = AI.CHASE;
-                    e.userData.lastSeenX = camera.position.x;
-                    e.userData.lastSeenZ = camera.position.z;
-                }
-                break;
-            }
-
-            // ════════ INVESTIGATE — heard a sound, moving to source ════════
-            case AI.INVESTIGATE: {
-                const ix = e.userData.investigateX || 0;
-                const iz = e.userData.investigateZ || 0;
-                const iDist = Math.sqrt((ix - e.position.x) ** 2 + (iz - e.position.z) ** 2);
-
-                // If player seen during investigation, switch to chase
-                if (canSee) {
-                    e.userData.aiState = AI.CHASE;
-                    e.userData.lastSeenX = camera.position.x;
-                    e.userData.lastSeenZ = camera.position.z;
-                    if (!td.silent) {
-                        playSpatialSound(td.alertSfx, e.position.x, e.position.z, 0.6);
-                    }
-                    break;
-                }
-
-                // Move toward sound source
-                if (iDist > 2) {
-                    moveEnemyToward(e, ix, iz, dt * 1.08);
-                }
-
-                e.userData.investigateTimer -= dt;
-                if (e.userData.investigateTimer <= 0 || iDist < 2) {
-                    // Done investigating — go back to patrolling
-                    e.userData.aiState = AI.STAND;
-                    e.userData.patrolTimer = 1 + Math.random() * 2;
-                }
-                break;
-            }
-
-            // ════════ CHASE — pursuing the player ════════
-            case AI.CHASE: {
-                if (canSee) {
-                    e.userData.lastSeenX = camera.position.x;
-                    e.userData.lastSeenZ = camera.position.z;
-                    e.userData.lostSightTimer = 0;
-                }
-
-                const tx = canSee ? camera.position.x : e.userData.lastSeenX;
-                const tz = canSee ? camera.position.z : e.userData.lastSeenZ;
-                const tDist = Math.sqrt((tx - e.position.x) ** 2 + (tz - e.position.z) ** 2);
-
-                // Attack decision — can we shoot?
-                if (canSee && dist < td.shootDist) {
-                    e.userData.shootCooldown -= dt;
-                    if (e.userData.shootCooldown <= 0) {
-                        startEnemyAttack(e);
-                        e.userData.shootCooldown = td.cooldown[0] + Math.random() * (td.cooldown[1] - td.cooldown[0]);
-                        break;
-                    }
-                }
-
-                // Movement — dogs rush straight, others keep minimum distance
-                const minDist = td.rushes ? 0.45 : (td.melee ? 0.9 : 2.1);
-                if (tDist > minDist) {
-                    moveEnemyToward(e, tx, tz, dt * (canSee ? 1.22 : 1.08));
-                }
-                // Officers/SS dodge sideways after shooting
-                else if (td.dodges && canSee && Math.random() < 0.02) {
-                    e.userData.aiState = AI.DODGE;
-                    e.userData.dodgeTimer = 0.5 + Math.random() * 0.5;
-                    e.userData.dodgeDir = Math.random() < 0.5 ? 1 : -1;
-                }
-
-                // Lost sight of player — investigate last known position
-                if (!canSee) {
-                    e.userData.lostSightTimer = (e.userData.lostSightTimer || 0) + dt;
-                    if (tDist < 2 || e.userData.lostSightTimer > 8) {
-                        e.userData.aiState = AI.INVESTIGATE;
-                        e.userData.investigateX = e.userData.lastSeenX;
-                        e.userData.investigateZ = e.userData.lastSeenZ;
-                        e.userData.investigateTimer = 3;
-                    }
-                }
-                break;
-            }
-
-            // ════════ DODGE — strafe sideways (officers, SS) ════════
-            case AI.DODGE: {
-                const perpX = -dz / (dist || 1) * e.userData.dodgeDir;
-                const perpZ = dx / (dist || 1) * e.userData.dodgeDir;
-                const speed = td.speed * 0.8 * dt;
-                const nx = e.position.x + perpX * speed;
-                const nz = e.position.z + perpZ * speed;
-                if (!isBlocked(nx, nz)) { e.position.x = nx; e.position.z = nz; }
-                else { e.userData.dodgeDir *= -1; } // reverse direction if hit wall
-
-                e.userData.dodgeTimer -= dt;
-                if (e.userData.dodgeTimer <= 0) {
-                    e.userData.aiState = AI.CHASE;
-                }
-                // Can still shoot while dodging
-                if (canSee && dist < td.shootDist) {
-                    e.userData.shootCooldown -= dt;
-                    if (e.userData.shootCooldown <= 0) {
-                        startEnemyAttack(e);
-                        e.userData.shootCooldown = td.cooldown[0] + Math.random() * (td.cooldown[1] - td.cooldown[0]);
-                        break;
-                    }
-                }
-                break;
-            }
+// ─── Notifications ──────────────────────────────
 
-            // ════════ ATTACK — fire at player ════════
-            case AI.ATTACK: {
-                e.userData.attackTimer -= dt;
-                if (e.userData.attackPhase === 'aim' && e.userData.attackTimer <= 0) {
-                    e.userData.attackPhase = 'fire';
-                    e.userData.attackTimer = 0.2; // fire-hold — long enough to see muzzle flash
-                    if (!e.userData.attackDidFire) {
-                        enemyFireAtPlayer(e, dist);
-                        e.userData.attackDidFire = true;
-                    }
-                } else if (e.userData.attackPhase === 'fire' && e.userData.attackTimer <= 0) {
-                    finishEnemyAttack(e);
-                }
-                break;
-            }
-
-            // ════════ DOOR_WAIT — waiting for door to open ════════
-            case AI.DOOR_WAIT: {
-                e.userData.doorWaitTimer -= dt;
-                const door = getDoorAt(e.userData.doorWaitX, e.userData.doorWaitZ);
-                if (!door || door.userData.open || e.userData.doorWaitTimer <= 0) {
-                    // Door is open or timeout — resume chase
-                    e.userData.aiState = e.userData.alerted ? AI.CHASE : AI.PATROL;
-                }
-                break;
-            }
-
-            // ════════ PAIN — hit reaction (bosses skip this) ════════
-            case AI.PAIN: {
-                // Frozen in place during pain
-                e.userData.painTimer -= dt;
-                if (e.userData.painTimer <= 0) {
-                    e.userData.aiState = AI.CHASE;
-                    e.userData.lastSeenX = camera.position.x;
-                    e.userData.lastSeenZ = camera.position.z;
-                }
-                break;
-            }
-        }
+let notificationText = '';
+let notificationTimer = 0;
 
-        // Walk animation: only advance when enemy actually moved (Bug B fix)
-        const movedX = e.position.x - prevX;
-        const movedZ = e.position.z - prevZ;
-        const movedDist = Math.abs(movedX) + Math.abs(movedZ);
-        if (movedDist > 0.001) {
-            e.userData.moveAngle = Math.atan2(movedX, movedZ);
-            e.userData.moveTimer = 0.2;
-        } else {
-            e.userData.moveTimer = Math.max(0, (e.userData.moveTimer || 0) - dt);
-        }
-        if (movedDist > 0.001 && e.userData.aiState !== AI.ATTACK && e.userData.aiState !== AI.PAIN) {
-            e.userData.walkTimer += dt;
-            if (e.userData.walkTimer > 0.15) { e.userData.walkTimer = 0; e.userData.walkFrame++; }
-        } else {
-            // Not moving — reset walk timer but keep frame for idle-walk appearance
-            e.userData.walkTimer = 0;
-        }
+function showNotification(text) {
+    notificationText = text;
+    notificationTimer = 2;
+}
 
-        updateEnemySprite(e);
-    }
+let pickupFlashTimer = 0;
+function showPickupFlash() {
+    pickupFlashTimer = 0.15;
 }
 
-// ─── Pickup Collection ──────────────────────────
-
-function checkPickups() {
-    // Original Wolf3D: NO line-of-sight check for pickups — distance only.
-    // Check eligibility BEFORE removing from scene to prevent flicker.
-    for (const p of levelPickups) {
-        if (p.userData.collected) continue;
-
-        // 2D distance only (pickups on floor y≈0, camera at eye height y≈0.9)
-        const pdx = camera.position.x - p.position.x;
-        const pdz = camera.position.z - p.position.z;
-        if (pdx * pdx + pdz * pdz >= PICKUP_RADIUS * PICKUP_RADIUS) continue;
-
-        const t = p.userData.pickupType;
-        let picked = false;
-
-        switch (t) {
-            // ── Health pickups ──
-            case 'health':  // firstaid kit — +25 HP
-                if (state.health >= MAX_HEALTH) break;
-                state.health = Math.min(MAX_HEALTH, state.health + 25);
-                playSound(SFX.pickupHealth, 0.8);
-                picked = true; break;
-            case 'food':    // dog food / plate — +4 HP (classic Wolf3D value)
-                if (state.health >= MAX_HEALTH) break;
-                state.health = Math.min(MAX_HEALTH, state.health + 4);
-                playSound(SFX.pickupFood, 0.8);
-                picked = true; break;
-
-            // ── Ammo pickups ──
-            case 'ammo':    // ammo clip — +4 bullets
-                if (state.ammo >= MAX_AMMO) break;
-                state.ammo = Math.min(MAX_AMMO, state.ammo + CLIP_AMMO);
-                playSound(SFX.pickupAmmo, 0.8);
-                picked = true; break;
-
-            // ── Weapons (always pick up — give ammo + upgrade) ──
-            case 'machinegun':
-                state.ammo = Math.min(MAX_AMMO, state.ammo + 6);
-                if (state.weapon === 'pistol') state.weapon = 'machinegun';
-                playSound(SFX.pickupWeapon, 0.8);
-                picked = true; break;
-            case 'chaingun':
-                state.ammo = Math.min(MAX_AMMO, state.ammo + 6);
-                state.weapon = 'chaingun';
-                playSound(SFX.pickupWeapon, 0.8);
-                picked = true; break;
-
-            // ── Keys ──
-            case 'key1':
-                if (state.keys.gold) break;  // already have it
-                state.keys.gold = true;
-                playSound(SFX.pickupKey, 0.8);
-                picked = true; break;
-            case 'key2':
-                if (state.keys.silver) break;
-                state.keys.silver = true;
-                playSound(SFX.pickupKey, 0.8);
-                picked = true; break;
-
-            // ── Treasures (always pick up) ──
-            case 'cross':   state.score += 100;  playSound(SFX.pickupTreasure, 0.8); picked = true; break;
-            case 'chalice': state.score += 500;  playSound(SFX.pickupTreasure, 0.8); picked = true; break;
-            case 'bible':   state.score += 1000; playSound(SFX.pickupTreasure, 0.8); picked = true; break;
-            case 'crown':   state.score += 5000; playSound(SFX.pickupTreasure, 0.8); picked = true; break;
-
-            // ── Extra life ──
-            case 'oneup':
-                state.lives++;
-                state.health = MAX_HEALTH;
-                state.ammo = Math.min(MAX_AMMO, state.ammo + 25);
-                playSound(SFX.pickupHealth, 0.8);
-                picked = true; break;
-        }
+// ─── Projectiles ────────────────────────────────
+// How each sim.js PROJECTILE_TYPES entry is drawn.
+//   size: sprite scale in world units
+//   glow: additive blending, flashes where it bursts
+//   draw: paints the 32x32 canvas used as the sprite texture
+const PROJECTILE_SPRITES = {
+    syringe: {
+        size: 0.5, glow: false,
+        draw(ctx) {
+            ctx.fillStyle = '#ddd'; ctx.fillRect(6, 14, 16, 4);
+            ctx.fillStyle = '#3c3'; ctx.fillRect(8, 15, 12, 2);
+            ctx.fillStyle = '#aaa'; ctx.fillRect(22, 15, 7, 2);
+            ctx.fillStyle = '#888'; ctx.fillRect(3, 12, 3, 8);
+        },
+    },
+    fireball: {
+        size: 0.7, glow: true,
+        draw(ctx) {
+            const g = ctx.createRadialGradient(16, 16, 0, 16, 16, 15);
+            g.addColorStop(0, 'rgba(255,255,200,1)');
+            g.addColorStop(0.35, 'rgba(255,180,40,1)');
+            g.addColorStop(0.75, 'rgba(230,60,0,0.8)');
+            g.addColorStop(1, 'rgba(200,20,0,0)');
+            ctx.fillStyle = g; ctx.fillRect(0, 0, 32, 32);
+        },
+    },
+    rocket: {
+        size: 0.6, glow: false,
+        draw(ctx) {
+            ctx.fillStyle = '#777'; ctx.fillRect(8, 12, 16, 8);
+            ctx.fillStyle = '#c22'; ctx.fillRect(22, 13, 5, 6);
+            ctx.fillStyle = '#ffb020'; ctx.fillRect(2, 13, 6, 6);
+            ctx.fillStyle = '#fff6b0'; ctx.fillRect(4, 15, 3, 2);
+        },
+    },
+};
+const _projectileTextures = {};
 
-        if (picked) {
-            p.userData.collected = true;
-            scene.remove(p);
-            showPickupFlash();
-        }
-    }
+function getProjectileTexture(type) {
+    if (_projectileTextures[type]) return _projectileTextures[type];
+    const canvas = document.createElement('canvas');
+    canvas.width = 32; canvas.height = 32;
+    PROJECTILE_SPRITES[type].draw(canvas.getContext('2d'));
+    const tex = new THREE.CanvasTexture(canvas);
+    tex.magFilter = THREE.NearestFilter;
+    _projectileTextures[type] = tex;
+    return tex;
 }
 
-// ─── Level Transition (Elevator) ────────────────
-
-function checkElevator() {
-    // Check if player is on an elevator door that's open
-    for (const door of levelDoors) {
-        if (door.userData.doorType === 'elevator' && door.userData.open) {
-            const dx = camera.position.x - door.position.x;
-            const dz = camera.position.z - door.position.z;
-            // Check if player walked through (is on the other side)
-            if (Math.abs(dx) < CELL * 1.5 && Math.abs(dz) < CELL * 1.5) {
-                // Check for exit tiles nearby
-                for (const s of levelStatics) {
-                    if (s.userData.isExit && camera.position.distanceTo(s.position) < CELL * 2) {
-                        nextLevel();
-                        return;
-                    }
-                }
-            }
-        }
-    }
-    // Also check if player is standing on an exit tile
-    for (const s of levelStatics) {
-        if (s.userData.isExit && camera.position.distanceTo(s.position) < 1.5) {
-            nextLevel();
-            return;
-        }
-    }
+function createProjectileSprite(p) {
+    const look = PROJECTILE_SPRITES[p.projType];
+    const mat = new THREE.SpriteMaterial({
+        map: getProjectileTexture(p.projType), transparent: true, alphaTest: look.glow ? 0 : 0.5,
+        blending: look.glow ? THREE.AdditiveBlending : THREE.NormalBlending, depthWrite: !look.glow,
+    });
+    const sp = new THREE.Sprite(mat);
+    sp.scale.set(look.size, look.size, 1);
+    scene.add(sp);
+    projectileSprites.set(p, sp);
+    return sp;
 }
 
-function nextLevel() {
-    const totalLevels = Object.keys(LEVELS).length;
-    const currentGlobal = state.episode * 10 + state.level;
-    const nextGlobal = currentGlobal + 1;
+// ─── Intermission (End-of-Floor Tally) ──────────
 
-    if (!LEVELS[nextGlobal]) {
-        showNotification('Congratulations! All levels complete!');
-        return;
-    }
+const intermissionEl = document.getElementById('intermission');
+let intermissionActive = false;
+let intermissionContinue = null;
+
+function formatTime(seconds) {
+    const total = Math.min(99 * 60 + 59, Math.floor(seconds));
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
 
-    state.level++;
-    if (state.level >= 10) { state.episode++; state.level = 0; }
-    state.keys = { gold: false, silver: false };
+function showIntermission(tally, onContinue, title = `FLOOR ${tally.floor} COMPLETED`) {
+    intermissionEl.querySelector('h1').textContent = title;
+    intermissionEl.querySelector('.tally').innerHTML = [
+        ['BONUS', tally.bonus],
+        ['TIME', formatTime(tally.time)],
+        ['PAR', tally.par > 0 ? formatTime(tally.par) : '??:??'],
+        ['KILL RATIO', `${tally.killRatio}%`],
+        ['SECRET RATIO', `${tally.secretRatio}%`],
+        ['TREASURE RATIO', `${tally.treasureRatio}%`],
+    ].map(([label, value]) => `<div><span>${label}</span> ${value}</div>`).join('');
+    intermissionEl.style.display = 'flex';
+    intermissionActive = true;
+    intermissionContinue = onContinue;
+}
 
-    showNotification(`Floor ${state.level + 1}`);
-    loadLevel(nextGlobal);
+function closeIntermission() {
+    if (!intermissionActive) return;
+    intermissionEl.style.display = 'none';
+    intermissionActive = false;
+    const cb = intermissionContinue;
+    intermissionContinue = null;
+    if (cb) cb();
 }
 
 // ─── HUD Drawing (Canvas-based authentic Wolf3D HUD) ──────
@@ -1911,9 +1070,7 @@ function drawHUD() {
 
     // Weapon icon
     if (hudWeapImg.complete && hudWeapImg.naturalWidth > 0) {
-        let weapIdx = 1; // pistol
-        if (state.weapon === 'machinegun') weapIdx = 2;
-        else if (state.weapon === 'chaingun') weapIdx = 3;
+        const weapIdx = Math.max(0, WEAPON_ORDER.indexOf(state.weapon));
         const ww = hudWeapImg.naturalWidth / 4;
         const wh = hudWeapImg.naturalHeight;
         hCtx.drawImage(
@@ -1946,6 +1103,7 @@ function drawHUD() {
 // ─── Weapon Display ─────────────────────────────
 const WEAPON_FRAME_SIZE = 256;
 const weaponFrameBase = {
+    knife: 0,
     pistol: 4,
     machinegun: 8,
     chaingun: 12,
@@ -2045,51 +1203,123 @@ applyViewportLayout();
 // ─── Input ──────────────────────────────────────
 const keys = {};
 let pointerLocked = false;
-let yaw = Math.PI, pitch = 0;
 let mouseDown = false;
-let playerY = EYE_H;
-let playerVelY = 0;
 
 document.addEventListener('keydown', e => { keys[e.code] = true; });
 document.addEventListener('keyup', e => { keys[e.code] = false; });
-document.addEventListener('click', () => {
+document.addEventListener('click', e => {
+    // Skill can only be picked from the start / game-over overlay, not mid-run
+    const skillOpt = e.target.closest?.('[data-skill]');
+    if (skillOpt && (!gameStarted || gameOver)) selectSkill(Number(skillOpt.dataset.skill));
     if (!pointerLocked) {
         renderer.domElement.requestPointerLock();
         if (audioCtx.state === 'suspended') audioCtx.resume();
     }
     if (gameOver && !pointerLocked) restartGame();
+    else if (!gameStarted) startGame();
 });
 document.addEventListener('pointerlockchange', () => {
     pointerLocked = document.pointerLockElement === renderer.domElement;
-    document.getElementById('instructions').style.display = pointerLocked ? 'none' : 'flex';
+    document.getElementById('instructions').style.display = pointerLocked || saveMenuMode || achievementsOpen || highScoresOpen ? 'none' : 'flex';
 });
 document.addEventListener('mousemove', e => {
-    if (!pointerLocked) return;
-    yaw -= e.movementX * state.mouseSensitivity;
-    pitch -= e.movementY * state.mouseSensitivity;
-    pitch = Math.max(-Math.PI / 3, Math.min(Math.PI / 3, pitch));
-    camera.rotation.y = yaw;
-    camera.rotation.x = pitch;
+    if (!pointerLocked || demoPlayback) return;
+    pendingInput.mouseX += e.movementX;
+    pendingInput.mouseY += e.movementY;
 });
 document.addEventListener('mousedown', e => {
-    if (pointerLocked && e.button === 0) { mouseDown = true; shoot(); }
+    if (pointerLocked && e.button === 0 && intermissionActive) { closeIntermission(); return; }
+    if (pointerLocked && e.button === 0 && !demoPlayback) { mouseDown = true; pendingInput.fire = true; }
 });
 document.addEventListener('mouseup', e => { if (e.button === 0) mouseDown = false; });
 document.addEventListener('keydown', e => {
+    // Any key ends demo playback
+    if (demoPlayback) {
+        e.preventDefault();
+        stopDemoPlayback();
+        return;
+    }
+    if (saveMenuMode) {
+        if (e.code === 'Escape') closeSaveMenu(false);
+        return;
+    }
+    if (achievementsOpen) {
+        if (e.code === 'Escape') closeAchievements();
+        return;
+    }
+    if (highScoresOpen) {
+        handleHighScoreKey(e);
+        return;
+    }
+    if (intermissionActive) {
+        if (e.code === 'Space' || e.code === 'Enter' || e.code === 'KeyE') {
+            e.preventDefault();
+            closeIntermission();
+        }
+        return;
+    }
+    if (e.code === 'F2' || e.code === 'F3') {
+        e.preventDefault();
+        openSaveMenu(e.code === 'F2' ? 'save' : 'load');
+        return;
+    }
+    if (e.code === 'F6') {
+        e.preventDefault();
+        if (e.shiftKey) downloadLastDemo();
+        else if (demoRecording) stopDemoRecording();
+        else startDemoRecording();
+        return;
+    }
+    if (e.code === 'F7') {
+        e.preventDefault();
+        if (e.shiftKey) pickDemoFile();
+        else startDemoPlayback(readLastDemo());
+        return;
+    }
+    const weaponSlot = ['Digit1', 'Digit2', 'Digit3', 'Digit4'].indexOf(e.code);
+    if (weaponSlot >= 0) pendingInput.weapon = weaponSlot + 1;
     if (e.code === 'KeyM') {
         state.minimapVisible = !state.minimapVisible;
         document.getElementById('minimap').style.display = state.minimapVisible ? 'block' : 'none';
     }
-    if (e.code === 'KeyE') tryOpenDoor();
+    if (e.code === 'KeyE') pendingInput.use = true;
     if (e.code === 'Space') {
         e.preventDefault();
-        if (!pointerLocked || gameOver) return;
-        if (!e.repeat && playerY <= EYE_H + 0.001 && playerVelY === 0) {
-            playerVelY = JUMP_VELOCITY;
-        }
+        if (!pointerLocked || gameOver || player.dead) return;
+        if (!e.repeat) pendingInput.jump = true;
     }
 });
 
+// ─── Tick Input ─────────────────────────────────
+// Live input is gathered here and handed to the simulation one frame per tick;
+// demos record and replay the same frames (see INPUT in sim.js).
+const pendingInput = { mouseX: 0, mouseY: 0, fire: false, use: false, jump: false, weapon: 0 };
+
+function clearPendingInput() {
+    Object.assign(pendingInput, { mouseX: 0, mouseY: 0, fire: false, use: false, jump: false, weapon: 0 });
+}
+
+function sampleLiveInput() {
+    let bits = 0;
+    if (keys['KeyW'] || keys['ArrowUp']) bits |= INPUT.FORWARD;
+    if (keys['KeyS'] || keys['ArrowDown']) bits |= INPUT.BACK;
+    if (keys['KeyA'] || keys['ArrowLeft']) bits |= INPUT.LEFT;
+    if (keys['KeyD'] || keys['ArrowRight']) bits |= INPUT.RIGHT;
+    if (keys['ShiftLeft'] || keys['ShiftRight']) bits |= INPUT.RUN;
+    if (mouseDown) bits |= INPUT.FIRE;
+    if (pendingInput.fire) bits |= INPUT.FIRE_PRESSED;
+    if (pendingInput.use) bits |= INPUT.USE;
+    if (pendingInput.jump) bits |= INPUT.JUMP;
+    bits |= pendingInput.weapon << INPUT_WEAPON_SHIFT;
+    // Keep sub-pixel remainders for the next tick so slow mouse motion isn't lost
+    const mx = Math.round(pendingInput.mouseX), my = Math.round(pendingInput.mouseY);
+    const restX = pendingInput.mouseX - mx, restY = pendingInput.mouseY - my;
+    clearPendingInput();
+    pendingInput.mouseX = restX;
+    pendingInput.mouseY = restY;
+    return { bits, mx, my };
+}
+
 // ─── Minimap ────────────────────────────────────
 const mmCanvas = document.getElementById('minimap');
 const mCtx = mmCanvas.getContext('2d');
@@ -2100,8 +1330,8 @@ function drawMinimap() {
     if (!levelWalls) return;
 
     // Center minimap on player
-    const pgx = camera.position.x / CELL;
-    const pgz = camera.position.z / CELL;
+    const pgx = player.x / CELL;
+    const pgz = player.z / CELL;
     const viewR = 16; // cells visible in each direction
     const mmS = 200 / (viewR * 2);
 
@@ -2120,14 +1350,24 @@ function drawMinimap() {
         }
     }
 
+    // Corpses — placed dead guards and everything killed this floor
+    mCtx.fillStyle = '#611';
+    for (const e of levelEnemies) {
+        if (e.alive) continue;
+        const ex = (e.x / CELL - pgx + viewR) * mmS;
+        const ez = (e.z / CELL - pgz + viewR) * mmS;
+        if (ex < 0 || ex > 200 || ez < 0 || ez > 200) continue;
+        mCtx.fillRect(ex - 2, ez - 1, 4, 2);
+    }
+
     // Enemies
     for (const e of levelEnemies) {
-        if (!e.userData.alive) continue;
-        const ex = (e.position.x / CELL - pgx + viewR) * mmS;
-        const ez = (e.position.z / CELL - pgz + viewR) * mmS;
+        if (!e.alive) continue;
+        const ex = (e.x / CELL - pgx + viewR) * mmS;
+        const ez = (e.z / CELL - pgz + viewR) * mmS;
         if (ex < 0 || ex > 200 || ez < 0 || ez > 200) continue;
-        const et = e.userData.enemyType;
-        mCtx.fillStyle = et === 'dog' ? '#c80' : et === 'ss' ? '#888' : et === 'officer' ? '#44f' : et === 'boss' ? '#f0f' : et === 'mutant' ? '#0c0' : '#f00';
+        const et = e.enemyType;
+        mCtx.fillStyle = e.typeDef.isBoss ? '#f0f' : et === 'dog' ? '#c80' : et === 'ss' ? '#888' : et === 'officer' ? '#44f' : et === 'mutant' ? '#0c0' : '#f00';
         mCtx.fillRect(ex - 2, ez - 2, 4, 4);
     }
 
@@ -2137,182 +1377,778 @@ function drawMinimap() {
     mCtx.beginPath(); mCtx.arc(cx, cy, 3, 0, Math.PI * 2); mCtx.fill();
     mCtx.strokeStyle = '#0f0'; mCtx.lineWidth = 2;
     mCtx.beginPath(); mCtx.moveTo(cx, cy);
-    mCtx.lineTo(cx - Math.sin(yaw) * 8, cy + Math.cos(yaw) * 8); mCtx.stroke();
+    mCtx.lineTo(cx - Math.sin(player.yaw) * 8, cy + Math.cos(player.yaw) * 8); mCtx.stroke();
 
     mCtx.fillStyle = '#fff'; mCtx.font = '10px monospace';
     mCtx.fillText(`E${state.episode + 1} L${state.level + 1}`, 4, 196);
 }
 
-// ─── Death / Restart ────────────────────────────
-let gameOver = false;
+// ─── Save / Load ────────────────────────────────
+// Each slot is its own localStorage entry holding a simulation snapshot (see
+// captureSnapshot in sim.js) plus the slot's name and date.
+const SAVE_SLOTS = 6;
+const SAVE_KEY_PREFIX = 'wolf3d.save.';
+const SAVE_VERSION = 3; // 1 and 2 held the pre-sim.js layouts
 
-function checkGameOver() {
-    if (state.health <= 0 && !gameOver) {
-        gameOver = true;
-        document.getElementById('damage-overlay').style.opacity = '0.8';
-        document.getElementById('damage-overlay').style.background = 'rgba(139,0,0,0.7)';
-        setTimeout(() => {
-            const inst = document.getElementById('instructions');
-            inst.querySelector('h1').textContent = 'YOU DIED';
-            inst.querySelector('h2').textContent = `Score: ${state.score} | Floor: ${state.episode * 10 + state.level + 1}`;
-            inst.querySelector('.start-msg').textContent = '[ Click to Restart ]';
-            document.exitPointerLock();
-        }, 1000);
+const saveMenuEl = document.getElementById('save-menu');
+const saveNameInput = document.getElementById('save-name');
+let saveMenuMode = null; // 'save' | 'load' | null
+
+function readSaveSlot(slot) {
+    try {
+        const raw = localStorage.getItem(SAVE_KEY_PREFIX + slot);
+        const data = raw ? JSON.parse(raw) : null;
+        return data && data.version === SAVE_VERSION ? data : null;
+    } catch { return null; }
+}
+
+function captureSave(name) {
+    return { version: SAVE_VERSION, name, date: Date.now(), ...captureSnapshot() };
+}
+
+function saveGame(slot, name) {
+    if (!gameStarted || gameOver || player.dead || intermissionActive || !levelWalls) return false;
+    try {
+        localStorage.setItem(SAVE_KEY_PREFIX + slot, JSON.stringify(captureSave(name)));
+        return true;
+    } catch (err) {
+        console.error('Save failed:', err);
+        return false;
     }
 }
 
-function restartGame() {
-    state.health = MAX_HEALTH; state.ammo = START_AMMO; state.score = 0;
-    state.weapon = 'pistol'; state.lives = 3;
-    state.keys = { gold: false, silver: false };
-    state.episode = 0; state.level = 0;
-    state.shootCooldown = 0;
-    playerMoveSpeed = 0;
+function loadGame(slot) {
+    const data = readSaveSlot(slot);
+    if (!data || !LEVELS[data.levelIdx]) return false;
+    runHighScore = null;
+    return applySave(data);
+}
+
+function applySave(data) {
+    if (!restoreSnapshot(data)) return false;
+    gameOver = false;
+    gameStarted = true;
+    skillSelect.style.display = 'none';
+    selectSkill(state.difficulty);
+    resetDeathOverlay();
+    document.getElementById('minimap').style.display = state.minimapVisible ? 'block' : 'none';
+    return true;
+}
+
+function renderSaveSlots() {
+    const list = saveMenuEl.querySelector('.slots');
+    list.innerHTML = '';
+    for (let slot = 0; slot < SAVE_SLOTS; slot++) {
+        const data = readSaveSlot(slot);
+        const row = document.createElement('div');
+        row.dataset.slot = String(slot);
+        if (data) {
+            const floor = data.levelIdx % 10 + 1;
+            const when = new Date(data.date).toLocaleString();
+            row.textContent = `${slot + 1}. ${data.name} — E${Math.floor(data.levelIdx / 10) + 1} F${floor} (${when})`;
+        } else {
+            row.textContent = `${slot + 1}. - empty -`;
+            if (saveMenuMode === 'load') row.classList.add('disabled');
+        }
+        list.appendChild(row);
+    }
+}
+
+function openSaveMenu(mode) {
+    if (intermissionActive || gameOver || player.dead || demoRecording || demoPlayback) return;
+    if (mode === 'save' && (!gameStarted || levelStats.exiting)) return;
+    saveMenuMode = mode;
+    saveMenuEl.querySelector('h1').textContent = mode === 'save' ? 'SAVE GAME' : 'LOAD GAME';
+    saveNameInput.style.display = mode === 'save' ? '' : 'none';
+    saveNameInput.value = `Episode ${state.episode + 1} Floor ${state.level + 1}`;
+    renderSaveSlots();
+    saveMenuEl.style.display = 'flex';
+    document.getElementById('instructions').style.display = 'none';
+    if (pointerLocked) document.exitPointerLock();
+}
+
+function closeSaveMenu(resume) {
+    saveMenuMode = null;
+    saveMenuEl.style.display = 'none';
+    if (resume) renderer.domElement.requestPointerLock();
+    else if (!pointerLocked) document.getElementById('instructions').style.display = 'flex';
+}
+
+saveMenuEl.addEventListener('click', e => {
+    // Keep menu clicks away from the document-level start/resume handler
+    e.stopPropagation();
+    const row = e.target.closest('[data-slot]');
+    if (!row) return;
+    const slot = Number(row.dataset.slot);
+    if (saveMenuMode === 'save') {
+        const name = saveNameInput.value.trim() || `Slot ${slot + 1}`;
+        if (saveGame(slot, name)) {
+            closeSaveMenu(true);
+            showNotification('Game saved');
+        }
+    } else if (saveMenuMode === 'load' && loadGame(slot)) {
+        closeSaveMenu(true);
+        showNotification('Game loaded');
+    }
+});
+
+saveMenuEl.addEventListener('keydown', e => {
+    // Typing a save name must not drive the game
+    e.stopPropagation();
+    if (e.code === 'Escape') closeSaveMenu(false);
+});
+
+// ─── Demo Recording / Playback ──────────────────
+// A demo starts from a snapshot of the floor at the moment recording begins (the run
+// carries on from there) and stores the RNG seed and one input frame per tick. The
+// snapshot is restored when the demo is replayed. Frames are run-length encoded as a flat
+// [count, bits, mx, my, ...] list. F6 records, F7 replays the last recording,
+// Shift+F6 downloads it and Shift+F7 replays a demo file (e.g. one attached to a bug report).
+const DEMO_VERSION = 2;
+const DEMO_KEY = 'wolf3d.demo.last';
+let demoRecording = null; // { header, frames }
+let demoPlayback = null;  // { frames, index, resume, wasStarted }
+let lastDemo = null;      // this session's last recording, in case localStorage refused it
+
+function encodeDemoFrames(frames) {
+    const out = [];
+    for (const f of frames) {
+        const n = out.length;
+        if (n && out[n - 3] === f.bits && out[n - 2] === f.mx && out[n - 1] === f.my) out[n - 4]++;
+        else out.push(1, f.bits, f.mx, f.my);
+    }
+    return out;
+}
+
+function decodeDemoFrames(data) {
+    const frames = [];
+    for (let i = 0; i + 3 < data.length; i += 4) {
+        for (let n = 0; n < data[i]; n++) frames.push({ bits: data[i + 1], mx: data[i + 2], my: data[i + 3] });
+    }
+    return frames;
+}
+
+// Shared by record and playback: same seed, same snapshot to start from
+function beginDemoSession(header) {
+    seedRandom(header.seed);
+    restoreSnapshot(header.snapshot);
+    selectSkill(state.difficulty);
     gameOver = false;
+    resetDeathOverlay();
+    resetTickClock();
+    tickAccumulator = 0;
+    mouseDown = false;
+    clearPendingInput();
+}
+
+function startDemoRecording() {
+    if (demoPlayback || !gameStarted || gameOver || player.dead || intermissionActive || levelStats.exiting) return;
+    const snapshot = captureSnapshot();
+    snapshot.state.shootCooldown = 0;
+    const header = {
+        version: DEMO_VERSION,
+        tickRate: TICK_RATE,
+        seed: (Math.random() * 0x100000000) >>> 0,
+        levelIdx: levelIndex,
+        snapshot,
+    };
+    beginDemoSession(header);
+    demoRecording = { header, frames: [] };
+    showNotification('Recording demo - F6 to stop');
+}
+
+function stopDemoRecording() {
+    const { header, frames } = demoRecording;
+    demoRecording = null;
+    const demo = { ...header, date: Date.now(), ticks: frames.length, frames: encodeDemoFrames(frames) };
+    lastDemo = demo;
+    try {
+        localStorage.setItem(DEMO_KEY, JSON.stringify(demo));
+    } catch (err) {
+        console.warn('Demo not kept in localStorage:', err);
+    }
+    showNotification(`Demo saved (${frames.length} ticks) - Shift+F6 to download`);
+}
+
+function downloadLastDemo() {
+    const demo = lastDemo || readLastDemo();
+    if (!demo) {
+        showNotification('No demo recorded');
+        return;
+    }
+    downloadDemo(demo);
+}
+
+function downloadDemo(demo) {
+    const blob = new Blob([JSON.stringify(demo)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `wolf3d-demo-e${Math.floor(demo.levelIdx / 10) + 1}f${demo.levelIdx % 10 + 1}-${demo.date}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+function readLastDemo() {
+    try {
+        return JSON.parse(localStorage.getItem(DEMO_KEY));
+    } catch { return null; }
+}
+
+function pickDemoFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        if (!file) return;
+        file.text().then(text => {
+            let demo = null;
+            try { demo = JSON.parse(text); } catch { /* reported below */ }
+            startDemoPlayback(demo);
+        });
+    });
+    input.click();
+}
+
+function startDemoPlayback(demo) {
+    if (demoRecording || demoPlayback || gameOver || player.dead || intermissionActive || saveMenuMode) return;
+    if (!demo || demo.version !== DEMO_VERSION || demo.tickRate !== TICK_RATE ||
+        !demo.snapshot || !LEVELS[demo.snapshot.levelIdx] || !Array.isArray(demo.frames)) {
+        showNotification('No playable demo');
+        return;
+    }
+    // Put the interrupted game back exactly as it was once the demo ends
+    demoPlayback = { frames: decodeDemoFrames(demo.frames), index: 0, resume: captureSave('demo'), wasStarted: gameStarted };
+    beginDemoSession(demo);
+    document.getElementById('instructions').style.display = 'none';
+    showNotification('Demo - press any key to stop');
+}
+
+function stopDemoPlayback() {
+    const { resume, wasStarted } = demoPlayback;
+    demoPlayback = null;
+    if (intermissionActive) {
+        intermissionEl.style.display = 'none';
+        intermissionActive = false;
+        intermissionContinue = null;
+    }
+    applySave(resume);
+    gameStarted = wasStarted;
+    skillSelect.style.display = wasStarted ? 'none' : '';
+    mouseDown = false;
+    clearPendingInput();
+    if (!pointerLocked) document.getElementById('instructions').style.display = 'flex';
+}
+
+// ─── Skill Selection ────────────────────────────
+let gameStarted = false;
+const skillSelect = document.getElementById('skill-select');
+
+function selectSkill(idx) {
+    if (!SKILLS[idx]) return;
+    state.difficulty = idx;
+    for (const opt of skillSelect.querySelectorAll('[data-skill]')) {
+        opt.classList.toggle('selected', Number(opt.dataset.skill) === idx);
+    }
+}
+
+function startGame() {
+    gameStarted = true;
+    skillSelect.style.display = 'none';
+    // Reload so the enemy roster matches the chosen skill
+    loadLevel(state.episode * 10 + state.level);
+}
 
+// ─── Death / Restart ────────────────────────────
+let gameOver = false;
+
+function showDeathOverlay() {
+    document.getElementById('damage-overlay').style.opacity = '0.8';
+    document.getElementById('damage-overlay').style.background = 'rgba(139,0,0,0.7)';
+}
+
+function resetDeathOverlay() {
     document.getElementById('damage-overlay').style.opacity = '0';
     document.getElementById('damage-overlay').style.background = 'radial-gradient(ellipse at center, transparent 50%, rgba(139,0,0,0.4) 100%)';
+}
+
+// End of the run (out of lives, or last episode beaten) — back to the start overlay
+function showFinalScreen(title) {
+    gameOver = true;
+    const inst = document.getElementById('instructions');
+    inst.querySelector('h1').textContent = title;
+    inst.querySelector('h2').textContent = `Final Score: ${state.score} | Floor: ${state.episode * 10 + state.level + 1}`;
+    inst.querySelector('.start-msg').textContent = '[ Click to Restart ]';
+    skillSelect.style.display = '';
+    if (isHighScore(state.score)) openHighScoreEntry();
+    document.exitPointerLock();
+}
+
+// Lost a life — the simulation restarts the floor with the starting loadout
+function respawn() {
+    resetDeathOverlay();
+    restartFloor();
+    showNotification(state.lives === 1 ? '1 life left' : `${state.lives} lives left`);
+}
+
+function restartGame() {
+    gameOver = false;
+    gameStarted = true;
+    skillSelect.style.display = 'none';
+
+    resetDeathOverlay();
     const inst = document.getElementById('instructions');
     inst.querySelector('h1').textContent = 'WOLFENSTEIN 3D';
     inst.querySelector('h2').textContent = 'Three.js Edition';
     inst.querySelector('.start-msg').textContent = '[ Click to Start ]';
 
-    loadLevel(0);
+    runHighScore = null;
+    newGame();
+}
+
+// ─── Event Subscribers (view, HUD, audio) ───────
+
+const PICKUP_SFX = {
+    health: SFX.pickupHealth, food: SFX.pickupFood, ammo: SFX.pickupAmmo,
+    machinegun: SFX.pickupWeapon, chaingun: SFX.pickupWeapon,
+    key1: SFX.pickupKey, key2: SFX.pickupKey,
+    cross: SFX.pickupTreasure, chalice: SFX.pickupTreasure, bible: SFX.pickupTreasure, crown: SFX.pickupTreasure,
+    oneup: SFX.pickupHealth,
+};
+
+function getWeaponSound(weapon) {
+    switch (weapon) {
+        case 'chaingun': return SFX.chaingunFire;
+        case 'machinegun': return SFX.machinegunFire;
+        case 'knife': return SFX.knife;
+        default: return SFX.pistolFire;
+    }
+}
+
+// View
+onGameEvent(GAME_EVENT.ENEMY_DAMAGED, ({ enemy }) => {
+    const sp = enemySprites.get(enemy);
+    if (!sp) return;
+    // Hit flash
+    sp.material.color.set(0xffffff);
+    setTimeout(() => {
+        const tint = getEnemyTint(enemy);
+        if (enemy.alive && tint) sp.material.color.setRGB(...tint);
+    }, 100);
+});
+onGameEvent(GAME_EVENT.ENEMY_KILLED, ({ enemy }) => {
+    const sp = enemySprites.get(enemy);
+    const tint = getEnemyTint(enemy);
+    if (sp && tint) sp.material.color.setRGB(...tint);
+});
+onGameEvent(GAME_EVENT.TILE_CHANGED, ({ gridX, gridY }) => updateWallTile(gridX, gridY));
+onGameEvent(GAME_EVENT.WEAPON_FIRED, () => {
+    weaponFiring = true;
+    setTimeout(() => { weaponFiring = false; }, 90);
+});
+onGameEvent(GAME_EVENT.PROJECTILE_EXPLODED, ({ projectile, x, y, z }) => {
+    if (PROJECTILE_SPRITES[projectile.projType].glow || projectile.def.splash) showMuzzleFlash(x, y, z);
+});
+
+// Audio
+onGameEvent(GAME_EVENT.ENEMY_KILLED, ({ enemy, typeDef }) => {
+    const sfx = SFX[typeDef.deathSfx];
+    const deathSnd = Array.isArray(sfx) ? sfx[Math.floor(Math.random() * sfx.length)] : sfx;
+    if (deathSnd) playSpatialSound(deathSnd, enemy.x, enemy.z, 0.8);
+});
+onGameEvent(GAME_EVENT.ENEMY_ALERTED, ({ enemy, typeDef }) => {
+    if (!typeDef.silent && typeDef.alertSfx) playSpatialSound(SFX[typeDef.alertSfx], enemy.x, enemy.z, 0.6);
+});
+onGameEvent(GAME_EVENT.ENEMY_ATTACKED, ({ enemy, typeDef }) => {
+    if (typeDef.atkSfx) playSpatialSound(SFX[typeDef.atkSfx], enemy.x, enemy.z, 0.7);
+});
+onGameEvent(GAME_EVENT.WEAPON_FIRED, ({ weapon }) => playSound(getWeaponSound(weapon), 0.7));
+onGameEvent(GAME_EVENT.DOOR_CLOSING, ({ gridX, gridY }) => {
+    playSpatialSound(SFX.doorClose, gridX * CELL + CELL / 2, gridY * CELL + CELL / 2, 0.6);
+});
+onGameEvent(GAME_EVENT.SECRET_FOUND, ({ gridX, gridY }) => {
+    playSpatialSound(SFX.pushWall, gridX * CELL + CELL / 2, gridY * CELL + CELL / 2, 0.8);
+});
+onGameEvent(GAME_EVENT.FLOOR_EXITING, () => playSound(SFX.levelComplete, 0.6));
+onGameEvent(GAME_EVENT.PICKUP_COLLECTED, ({ type }) => {
+    if (PICKUP_SFX[type]) playSound(PICKUP_SFX[type], 0.8);
+});
+onGameEvent(GAME_EVENT.DOOR_OPENED, ({ gridX, gridY }) => {
+    playSpatialSound(SFX.doorOpen, gridX * CELL + CELL / 2, gridY * CELL + CELL / 2, 0.8);
+});
+onGameEvent(GAME_EVENT.PLAYER_DAMAGED, () => playSound(SFX.playerDamage, 0.5));
+
+// HUD
+onGameEvent(GAME_EVENT.PICKUP_COLLECTED, () => showPickupFlash());
+onGameEvent(GAME_EVENT.PLAYER_DAMAGED, () => {
+    const ov = document.getElementById('damage-overlay');
+    ov.style.opacity = '0.6';
+    setTimeout(() => { ov.style.opacity = '0'; }, 200);
+});
+onGameEvent(GAME_EVENT.DOOR_LOCKED, ({ doorType }) => showNotification(`You need a ${doorType} key!`));
+onGameEvent(GAME_EVENT.SECRET_FOUND, () => showNotification('You found a secret!'));
+
+// Console
+onGameEvent(GAME_EVENT.LEVEL_STARTED, ({ levelIdx, name }) => {
+    console.log(`Loaded level ${levelIdx}: "${name}" — ${levelEnemies.length} enemies, ${levelDoors.length} doors, ${levelStatics.length} statics`);
+});
+
+// Flow — the simulation waits on the floor it finished (or lost) until told to go on
+onGameEvent(GAME_EVENT.LEVEL_COMPLETED, ({ tally, episodeComplete, next }) => {
+    const title = episodeComplete ? `EPISODE ${state.episode + 1} COMPLETE` : undefined;
+    const goOn = () => {
+        if (!enterNextFloor()) {
+            showFinalScreen('VICTORY!');
+            return;
+        }
+        showNotification(episodeComplete ? `Episode ${state.episode + 1}` : `Floor ${state.level + 1}`);
+    };
+    showIntermission(tally, () => {
+        // A finished episode earns name entry before the next one starts; the last
+        // episode gets it on the victory screen instead
+        if (episodeComplete && next && !demoPlayback && isHighScore(state.score)) openHighScoreEntry(goOn);
+        else goOn();
+    }, title);
+});
+onGameEvent(GAME_EVENT.PLAYER_DIED, ({ gameOver: outOfLives }) => {
+    showDeathOverlay();
+    if (outOfLives) gameOver = true;
+    // Skipped if the floor was reloaded in the meantime (demo playback ending)
+    const stats = levelStats;
+    setTimeout(() => {
+        if (levelStats !== stats) return;
+        if (outOfLives) showFinalScreen('GAME OVER');
+        else respawn();
+    }, 1000);
+});
+
+// ─── Achievements ───────────────────────────────
+// Declarative definitions: each listens to one game event and its check(payload, progress)
+// returns true once earned. progress is that achievement's own persisted object, so
+// counters carry over between runs. goal/count() drive the "n / goal" line on the screen.
+const ACHIEVEMENTS_KEY = 'wolf3d.achievements';
+const E1_FLOORS = Object.keys(LEVELS).filter(idx => Number(idx) < 10).length;
+
+const ACHIEVEMENTS = [
+    {
+        id: 'untouchable', name: 'Untouchable', desc: 'Finish a floor without taking damage',
+        event: GAME_EVENT.LEVEL_COMPLETED,
+        check: () => levelStats.damageTaken === 0,
+    },
+    {
+        id: 'exterminator', name: 'Exterminator', desc: '100% kills on every Episode 1 floor',
+        event: GAME_EVENT.LEVEL_COMPLETED, goal: E1_FLOORS,
+        count: p => (p.floors || []).length,
+        check: ({ levelIdx, tally }, p) => {
+            if (levelIdx >= 10 || (tally.killRatio < 100 && levelStats.killsTotal > 0)) return false;
+            p.floors = [...new Set([...(p.floors || []), levelIdx])];
+            return p.floors.length >= E1_FLOORS;
+        },
+    },
+    {
+        id: 'knife-boss', name: 'Up Close and Personal', desc: 'Kill a boss with the knife',
+        event: GAME_EVENT.ENEMY_KILLED,
+        check: ({ typeDef }) => !!typeDef.isBoss && state.weapon === 'knife',
+    },
+    {
+        id: 'all-secrets', name: 'Secret Agent', desc: 'Find every secret on a floor',
+        event: GAME_EVENT.LEVEL_COMPLETED,
+        check: ({ tally }) => tally.secretRatio === 100,
+    },
+    {
+        id: 'treasure-hunter', name: 'Treasure Hunter', desc: 'Collect every treasure on a floor',
+        event: GAME_EVENT.LEVEL_COMPLETED,
+        check: ({ tally }) => tally.treasureRatio === 100,
+    },
+    {
+        id: 'centurion', name: 'Centurion', desc: 'Kill 100 enemies',
+        event: GAME_EVENT.ENEMY_KILLED, goal: 100,
+        count: p => p.kills || 0,
+        check: (_, p) => (p.kills = (p.kills || 0) + 1) >= 100,
+    },
+];
+
+const achievementData = readAchievements();
+const achievementsEl = document.getElementById('achievements');
+const achievementToastEl = document.getElementById('achievement-toast');
+const achievementToastQueue = [];
+let achievementsOpen = false;
+
+function readAchievements() {
+    try {
+        const data = JSON.parse(localStorage.getItem(ACHIEVEMENTS_KEY));
+        if (data && data.unlocked && data.progress) return data;
+    } catch { /* fall through to a fresh record */ }
+    return { unlocked: {}, progress: {} };
+}
+
+function writeAchievements() {
+    try {
+        localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(achievementData));
+    } catch (err) {
+        console.warn('Achievements not saved:', err);
+    }
+}
+
+function unlockAchievement(a) {
+    achievementData.unlocked[a.id] = new Date().toISOString();
+    achievementToastQueue.push(a);
+    if (achievementToastQueue.length === 1) showNextAchievementToast();
+}
+
+function showNextAchievementToast() {
+    const a = achievementToastQueue[0];
+    if (!a) return;
+    achievementToastEl.innerHTML = `<b>ACHIEVEMENT UNLOCKED</b>${a.name}`;
+    achievementToastEl.style.opacity = '1';
+    setTimeout(() => {
+        achievementToastEl.style.opacity = '0';
+        setTimeout(() => {
+            achievementToastQueue.shift();
+            showNextAchievementToast();
+        }, 400);
+    }, 3000);
+}
+
+for (const a of ACHIEVEMENTS) {
+    onGameEvent(a.event, payload => {
+        // Replayed demos don't earn anything
+        if (demoPlayback || achievementData.unlocked[a.id]) return;
+        const progress = achievementData.progress[a.id] || (achievementData.progress[a.id] = {});
+        const before = JSON.stringify(progress);
+        const earned = a.check(payload, progress);
+        if (earned) unlockAchievement(a);
+        // Most events change nothing — only touch storage when something did
+        if (earned || JSON.stringify(progress) !== before) writeAchievements();
+    });
+}
+
+function renderAchievements() {
+    const list = achievementsEl.querySelector('.list');
+    list.innerHTML = '';
+    for (const a of ACHIEVEMENTS) {
+        const row = document.createElement('div');
+        const unlocked = achievementData.unlocked[a.id];
+        row.classList.toggle('unlocked', !!unlocked);
+        let detail = a.desc;
+        if (unlocked) detail += ` — ${new Date(unlocked).toLocaleDateString()}`;
+        else if (a.goal) detail += ` (${Math.min(a.goal, a.count(achievementData.progress[a.id] || {}))} / ${a.goal})`;
+        row.innerHTML = `<b></b><small></small>`;
+        row.querySelector('b').textContent = a.name;
+        row.querySelector('small').textContent = detail;
+        list.appendChild(row);
+    }
+}
+
+function openAchievements() {
+    achievementsOpen = true;
+    renderAchievements();
+    achievementsEl.style.display = 'flex';
+    document.getElementById('instructions').style.display = 'none';
+}
+
+function closeAchievements() {
+    achievementsOpen = false;
+    achievementsEl.style.display = 'none';
+    document.getElementById('instructions').style.display = 'flex';
+}
+
+document.querySelector('#instructions .menu-links').addEventListener('click', e => {
+    // Menu links must not start the game
+    e.stopPropagation();
+    if (e.target.closest('[data-menu="achievements"]')) openAchievements();
+    if (e.target.closest('[data-menu="highscores"]')) openHighScores();
+});
+achievementsEl.addEventListener('click', e => {
+    e.stopPropagation();
+    closeAchievements();
+});
+
+// ─── High Scores ────────────────────────────────
+// Top ten runs, best first. A qualifying score opens name entry on the table itself,
+// like the original's high score screen, when the run ends and after each finished
+// episode. A run keeps one row, replaced whenever it is entered again.
+const HIGH_SCORES_KEY = 'wolf3d.highscores';
+const HIGH_SCORE_COUNT = 10;
+const HIGH_SCORE_NAME_LEN = 12;
+
+const highScoresEl = document.getElementById('highscores');
+let highScoresOpen = false;
+let highScoreEntry = null; // row being named, while name entry is active
+let highScoreDone = null;  // continues the game once the table is closed after name entry
+let runHighScore = null;   // this run's named row, if it has one
+
+function readHighScores() {
+    try {
+        const list = JSON.parse(localStorage.getItem(HIGH_SCORES_KEY));
+        return Array.isArray(list) ? list : [];
+    } catch { return []; }
+}
+
+function writeHighScores(list) {
+    try {
+        localStorage.setItem(HIGH_SCORES_KEY, JSON.stringify(list));
+    } catch (err) {
+        console.warn('High scores not saved:', err);
+    }
+}
+
+function isHighScore(score) {
+    const list = readHighScores();
+    return score > 0 && (list.length < HIGH_SCORE_COUNT || score > list[list.length - 1].score);
+}
+
+function renderHighScores(list, current = null) {
+    const table = highScoresEl.querySelector('table');
+    table.innerHTML = '<tr><th></th><th>NAME</th><th>SCORE</th><th>FLOOR</th><th>SKILL</th><th>DATE</th></tr>';
+    list.forEach((entry, i) => {
+        const row = document.createElement('tr');
+        if (entry === current) row.className = 'current';
+        const cells = [
+            `${i + 1}.`, entry.name, entry.score, `E${entry.episode} F${entry.floor}`,
+            (SKILLS[entry.difficulty] || SKILLS[DEFAULT_SKILL]).name, new Date(entry.date).toLocaleDateString(),
+        ];
+        for (const text of cells) {
+            const td = document.createElement('td');
+            td.textContent = text;
+            row.appendChild(td);
+        }
+        row.children[2].className = 'score';
+        if (entry === highScoreEntry) {
+            const cursor = document.createElement('span');
+            cursor.className = 'cursor';
+            cursor.textContent = '_';
+            row.children[1].appendChild(cursor);
+        }
+        table.appendChild(row);
+    });
+    if (!list.length) table.insertAdjacentHTML('beforeend', '<tr><td></td><td colspan="5">- no scores yet -</td></tr>');
+}
+
+function showHighScoresOverlay(hint) {
+    highScoresOpen = true;
+    highScoresEl.querySelector('.hint').textContent = hint;
+    highScoresEl.style.display = 'flex';
+    document.getElementById('instructions').style.display = 'none';
+}
+
+function openHighScores() {
+    renderHighScores(readHighScores());
+    showHighScoresOverlay('Click or press Esc to go back');
+}
+
+// Slot the run into the table and let the player type a name for it
+function openHighScoreEntry(onDone = null) {
+    highScoreDone = onDone;
+    highScoreEntry = {
+        name: runHighScore ? runHighScore.name : '', score: state.score,
+        floor: state.level + 1, episode: state.episode + 1,
+        difficulty: state.difficulty, date: new Date().toISOString(),
+    };
+    const list = readHighScores().filter(e => !runHighScore || e.date !== runHighScore.date);
+    list.push(highScoreEntry);
+    list.sort((a, b) => b.score - a.score);
+    list.length = Math.min(list.length, HIGH_SCORE_COUNT);
+    highScoreEntry.list = list;
+    renderHighScores(list, highScoreEntry);
+    showHighScoresOverlay('Type your name — Enter to confirm');
+}
+
+function confirmHighScoreEntry() {
+    const entry = highScoreEntry;
+    const list = entry.list;
+    delete entry.list;
+    entry.name = entry.name.trim() || 'B.J.';
+    highScoreEntry = null;
+    runHighScore = entry;
+    writeHighScores(list);
+    renderHighScores(list, entry);
+    highScoresEl.querySelector('.hint').textContent = 'Click or press Esc to go back';
+}
+
+function closeHighScores() {
+    highScoresOpen = false;
+    highScoresEl.style.display = 'none';
+    if (!pointerLocked) document.getElementById('instructions').style.display = 'flex';
+    const done = highScoreDone;
+    highScoreDone = null;
+    if (done) done();
+}
+
+function handleHighScoreKey(e) {
+    if (!highScoreEntry) {
+        if (e.code === 'Escape' || e.code === 'Enter' || e.code === 'Space') closeHighScores();
+        return;
+    }
+    e.preventDefault();
+    if (e.code === 'Enter') { confirmHighScoreEntry(); return; }
+    if (e.code === 'Backspace') highScoreEntry.name = highScoreEntry.name.slice(0, -1);
+    else if (/^[a-z0-9 .\-]$/i.test(e.key) && highScoreEntry.name.length < HIGH_SCORE_NAME_LEN) {
+        highScoreEntry.name += e.key.toUpperCase();
+    }
+    renderHighScores(highScoreEntry.list, highScoreEntry);
 }
 
+highScoresEl.addEventListener('click', e => {
+    e.stopPropagation();
+    if (!highScoreEntry) closeHighScores();
+});
+
 // ─── Init ───────────────────────────────────────
+selectSkill(state.difficulty);
 loadLevel(0);
 
 // ─── Game Loop ──────────────────────────────────
+// The simulation advances in fixed ticks (the original ran at 70 tics per second);
+// rendering and HUD timers follow the real frame rate.
 const clock = new THREE.Clock();
+let tickAccumulator = 0;
+
+// One input frame per tick: replayed from a demo, otherwise sampled live (and recorded)
+function nextTickInput() {
+    if (demoPlayback) {
+        const input = demoPlayback.frames[demoPlayback.index++];
+        if (!input) stopDemoPlayback();
+        return input || null;
+    }
+    const input = sampleLiveInput();
+    if (demoRecording) demoRecording.frames.push(input);
+    return input;
+}
 
 function gameLoop() {
     requestAnimationFrame(gameLoop);
     const dt = Math.min(clock.getDelta(), 0.1);
 
-    if (!pointerLocked || gameOver) {
+    // Demos cover a single life on a single floor
+    const sessionOver = gameOver || player.dead || intermissionActive;
+    if (sessionOver && demoPlayback) stopDemoPlayback();
+    if (sessionOver && demoRecording) stopDemoRecording();
+
+    if ((!pointerLocked && !demoPlayback) || gameOver || player.dead || intermissionActive) {
+        syncLevelView();
         drawHUD();
         drawWeapon();
         renderer.render(scene, camera);
         return;
     }
 
-    // Movement
-    const prevPlayerX = camera.position.x;
-    const prevPlayerZ = camera.position.z;
-    const speed = state.moveSpeed * (keys['ShiftLeft'] || keys['ShiftRight'] ? state.runMultiplier : 1) * dt;
-    const fwd = new THREE.Vector3(-Math.sin(yaw), 0, -Math.cos(yaw));
-    const right = new THREE.Vector3(Math.cos(yaw), 0, -Math.sin(yaw));
-    let mv = new THREE.Vector3();
-    if (keys['KeyW'] || keys['ArrowUp']) mv.add(fwd);
-    if (keys['KeyS'] || keys['ArrowDown']) mv.sub(fwd);
-    if (keys['KeyA'] || keys['ArrowLeft']) mv.sub(right);
-    if (keys['KeyD'] || keys['ArrowRight']) mv.add(right);
-
-    let bobPhase = 0;
-    if (mv.length() > 0) {
-        mv.normalize().multiplyScalar(speed);
-        const nx = camera.position.x + mv.x, nz = camera.position.z + mv.z;
-        const r = 0.3;
-        // X axis collision
-        if (!isBlocked(nx + r, camera.position.z) && !isBlocked(nx - r, camera.position.z) &&
-            !isBlocked(nx + r, camera.position.z + r) && !isBlocked(nx - r, camera.position.z - r) &&
-            !isBlocked(nx + r, camera.position.z - r) && !isBlocked(nx - r, camera.position.z + r))
-            camera.position.x = nx;
-        // Z axis collision
-        if (!isBlocked(camera.position.x, nz + r) && !isBlocked(camera.position.x, nz - r) &&
-            !isBlocked(camera.position.x + r, nz + r) && !isBlocked(camera.position.x - r, nz - r) &&
-            !isBlocked(camera.position.x + r, nz - r) && !isBlocked(camera.position.x - r, nz + r))
-            camera.position.z = nz;
-    }
-
-    // Jump/gravity physics (space to jump)
-    playerVelY -= PLAYER_GRAVITY * dt;
-    playerY += playerVelY * dt;
-    if (playerY <= EYE_H) {
-        playerY = EYE_H;
-        if (playerVelY < 0) playerVelY = 0;
-    }
-
-    const onGround = playerY <= EYE_H + 0.0001 && playerVelY === 0;
-    if (mv.length() > 0 && onGround) {
-        bobPhase = Math.sin(clock.elapsedTime * 8);
-        placeWeaponSprite(bobPhase * 2, Math.abs(bobPhase) * 4);
-        camera.position.y = playerY + bobPhase * 0.04;
-    } else {
-        placeWeaponSprite(0, 0);
-        camera.position.y = playerY;
+    tickAccumulator += dt;
+    while (tickAccumulator >= TICK_DT) {
+        tickAccumulator -= TICK_DT;
+        const input = nextTickInput();
+        if (!input) break;
+        tick(TICK_DT, input);
+        if (gameOver || player.dead || intermissionActive) { tickAccumulator = 0; break; }
     }
 
-    const moved = Math.hypot(camera.position.x - prevPlayerX, camera.position.z - prevPlayerZ);
-    playerMoveSpeed = dt > 0 ? moved / dt : 0;
-
-    playerLight.position.copy(camera.position);
-
-    // Shoot cooldown + auto-fire
-    if (state.shootCooldown > 0) state.shootCooldown -= dt;
-    if (mouseDown && (state.weapon === 'machinegun' || state.weapon === 'chaingun') && state.shootCooldown <= 0) shoot();
-
-    // Door animations
-    for (const d of levelDoors) {
-        const baseX = d.userData.gridX * CELL + CELL / 2;
-        const baseZ = d.userData.gridY * CELL + CELL / 2;
-
-        // Opening animation
-        if (d.userData.opening && d.userData.openAmount < 1) {
-            d.userData.openAmount = Math.min(1, d.userData.openAmount + dt * 1.5);
-            if (d.userData.vertical)
-                d.position.z = baseZ + d.userData.openAmount * DOOR_TRAVEL;
-            else
-                d.position.x = baseX + d.userData.openAmount * DOOR_TRAVEL;
-            if (d.userData.openAmount >= 1) {
-                d.userData.open = true;
-                d.userData.opening = false;
-                d.userData.closeTimer = 0;
-            }
-        }
-
-        // Closing animation (smooth slide back)
-        if (d.userData.closing && d.userData.openAmount > 0) {
-            d.userData.openAmount = Math.max(0, d.userData.openAmount - dt * 1.5);
-            if (d.userData.vertical)
-                d.position.z = baseZ + d.userData.openAmount * DOOR_TRAVEL;
-            else
-                d.position.x = baseX + d.userData.openAmount * DOOR_TRAVEL;
-            if (d.userData.openAmount <= 0) {
-                d.userData.closing = false;
-                d.userData.openAmount = 0;
-                d.position.set(baseX, WALL_H / 2, baseZ);
-            }
-        }
-
-        // Auto-close after timeout
-        if (d.userData.open && !d.userData.closing) {
-            d.userData.closeTimer += dt;
-            if (d.userData.closeTimer > 5) {
-                // Check if player or enemy is in doorway
-                const pgx = Math.floor(camera.position.x / CELL);
-                const pgz = Math.floor(camera.position.z / CELL);
-                const inDoorway = (pgx === d.userData.gridX && pgz === d.userData.gridY);
-                if (!inDoorway) {
-                    d.userData.open = false;
-                    d.userData.closing = true;
-                    d.userData.closeTimer = 0;
-                    playSpatialSound(SFX.doorClose, baseX, baseZ, 0.6);
-                }
-            }
-        }
-    }
+    syncLevelView();
+    updateMuzzleFlashes(dt); // also used for projectile impacts
 
     // Notification timer
     if (notificationTimer > 0) notificationTimer -= dt;
     if (pickupFlashTimer > 0) pickupFlashTimer -= dt;
 
-    updateEnemies(dt);
-    // Enemy muzzle flash now comes from sprite frame, no additive glow pass needed.
-    checkPickups();
-    checkElevator();
-    checkGameOver();
     drawHUD();
     drawWeapon();
     if (state.minimapVisible) drawMinimap();
@@ -0,0 +1,2213 @@
+// Headless game simulation: the rules and state of a floor as plain data, with no
+// THREE, DOM or audio. main.js renders, plays sound and draws the HUD from what this
+// module holds and the events it emits; it runs just as well under Node, and writes
+// nothing to the console on its own:
+//
+//   import { loadLevel, tick, player, INPUT, TICK_DT } from './src/sim.js';
+//   loadLevel(0);
+//   for (let i = 0; i < 70; i++) tick(TICK_DT, { bits: INPUT.FORWARD, mx: 0, my: 0 });
+//   // player.x / player.z now hold where one second of walking got to
+import { LEVELS } from './levels.js';
+
+// ─── Game Constants ─────────────────────────────
+export const MAP_SIZE = 64;
+export const CELL = 2; // world units per cell
+export const EYE_H = 0.9;
+export const HEAD_BOB = 0.04; // eye height swing while walking
+export const MAX_HEALTH = 100;
+const MAX_AMMO = 99;
+const START_AMMO = 8;
+const CLIP_AMMO = 4; // Original Wolf3D: ammo clip gives 4 bullets
+const PICKUP_RADIUS = 1.6;
+const DOOR_PASSABLE_OPEN = 0.8;
+const PUSHWALL_SPEED = 1.1; // world units per second (~1.8s per tile, like the original)
+const PUSHWALL_TILES = 2;   // secret walls slide at most two tiles
+const PAR_BONUS = 500;      // points per second finished under par
+const RATIO_BONUS = 10000;  // points for 100% kills / secrets / treasure
+export const TREASURE_PICKUPS = ['cross', 'chalice', 'bible', 'crown', 'oneup'];
+const JUMP_VELOCITY = 4.6;
+const PLAYER_GRAVITY = 15.0;
+export const ENEMY_DEATH_TIME = 0.6; // seconds from the killing blow until the corpse settles
+
+// The simulation advances in fixed ticks (the original ran at 70 tics per second)
+export const TICK_RATE = 70;
+export const TICK_DT = 1 / TICK_RATE;
+
+// ─── Skill Levels ───────────────────────────────
+// maxTier: highest decoded enemy `difficulty` tier that spawns (0 = base, 1 = medium, 2 = hard)
+// damageShift: right-shift applied to damage taken (baby mode quarters it, like the original)
+// Enemy toughness per skill comes from the per-skill hp arrays in ENEMY_TYPES.
+export const SKILLS = [
+    { name: 'Can I play, Daddy?',    maxTier: 0, damageShift: 2 },
+    { name: "Don't hurt me.",        maxTier: 0, damageShift: 0 },
+    { name: "Bring 'em on!",         maxTier: 1, damageShift: 0 },
+    { name: 'I am Death incarnate!', maxTier: 2, damageShift: 0 },
+];
+export const DEFAULT_SKILL = 2;
+
+// ─── Game State ─────────────────────────────────
+export const state = {
+    health: MAX_HEALTH, ammo: START_AMMO, score: 0, lives: 3,
+    weapon: 'pistol', chosenWeapon: 'pistol',
+    weapons: { knife: true, pistol: true, machinegun: false, chaingun: false },
+    keys: { gold: false, silver: false },
+    episode: 0, level: 0, difficulty: DEFAULT_SKILL,
+    secretReturnLevel: null, // floor to resume after the secret map
+    shooting: false, shootCooldown: 0,
+    minimapVisible: true,
+    moveSpeed: 4.0, runMultiplier: 1.8, mouseSensitivity: 0.002,
+};
+
+// Position in world units on the floor plane; y is the eye height (raised while jumping).
+// yaw 0 faces -Z and matches the camera's rotation.y.
+export const player = {
+    x: 0, z: 0, y: EYE_H, velY: 0,
+    yaw: Math.PI, pitch: 0,
+    speed: 0,    // measured ground speed — running spoils enemy aim
+    bob: 0,      // head-bob phase while walking on the ground, 0 otherwise
+    dead: false, // between losing a life and the floor restarting
+};
+
+export function getSkill() {
+    return SKILLS[state.difficulty] || SKILLS[DEFAULT_SKILL];
+}
+
+// ─── Random ─────────────────────────────────────
+// Gameplay randomness (AI, damage, drops) comes from this seedable generator so a
+// demo replays identically; presentation-only choices may keep using Math.random().
+let rngState = (Math.random() * 0x100000000) >>> 0;
+
+export function seedRandom(seed) {
+    rngState = seed >>> 0;
+}
+
+// mulberry32 — returns [0, 1) like Math.random()
+export function random() {
+    rngState = (rngState + 0x6D2B79F5) >>> 0;
+    let t = rngState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// ─── Game Events ────────────────────────────────
+// The simulation emits these; HUD, audio, stats and extensions subscribe.
+// Payloads:
+//   enemyKilled        { enemy, type, typeDef, score }
+//   enemyDamaged       { enemy, damage } — hit but still standing
+//   enemyAlerted       { enemy, typeDef } — spotted or heard the player
+//   enemyAttacked      { enemy, typeDef } — fired, threw or bit, hit or miss
+//   pickupCollected    { pickup, type }
+//   doorOpened         { door, gridX, gridY, doorType, opener } — opener is the enemy, or null for the player
+//   doorClosing        { door, gridX, gridY }
+//   doorLocked         { door, gridX, gridY, doorType } — the player lacks the key
+//   secretFound        { pushwall, gridX, gridY }
+//   tileChanged        { gridX, gridY, value } — a levelWalls entry changed mid-floor
+//   weaponFired        { weapon }
+//   projectileExploded { projectile, x, y, z }
+//   playerDamaged      { amount, health }
+//   levelStarted       { levelIdx, episode, level, name }
+//   floorExiting       { secret } — elevator thrown or boss beaten, the tally follows shortly
+//   levelCompleted     { levelIdx, tally, secret, episodeComplete, next } — call enterNextFloor() to go on
+//   playerDied         { livesLeft, gameOver }
+export const GAME_EVENT = {
+    ENEMY_KILLED: 'enemyKilled',
+    ENEMY_DAMAGED: 'enemyDamaged',
+    ENEMY_ALERTED: 'enemyAlerted',
+    ENEMY_ATTACKED: 'enemyAttacked',
+    PICKUP_COLLECTED: 'pickupCollected',
+    DOOR_OPENED: 'doorOpened',
+    DOOR_CLOSING: 'doorClosing',
+    DOOR_LOCKED: 'doorLocked',
+    SECRET_FOUND: 'secretFound',
+    TILE_CHANGED: 'tileChanged',
+    WEAPON_FIRED: 'weaponFired',
+    PROJECTILE_EXPLODED: 'projectileExploded',
+    PLAYER_DAMAGED: 'playerDamaged',
+    LEVEL_STARTED: 'levelStarted',
+    FLOOR_EXITING: 'floorExiting',
+    LEVEL_COMPLETED: 'levelCompleted',
+    PLAYER_DIED: 'playerDied',
+};
+const gameListeners = new Map(Object.values(GAME_EVENT).map(name => [name, new Set()]));
+
+function getGameListeners(name) {
+    const set = gameListeners.get(name);
+    if (!set) throw new TypeError(`Unknown game event "${name}"`);
+    return set;
+}
+
+// Returns an unsubscribe function
+export function onGameEvent(name, fn) {
+    getGameListeners(name).add(fn);
+    return () => offGameEvent(name, fn);
+}
+
+export function offGameEvent(name, fn) {
+    getGameListeners(name).delete(fn);
+}
+
+function emitGameEvent(name, payload) {
+    for (const fn of getGameListeners(name)) {
+        // A broken extension must not take the game loop down with it
+        try { fn(payload); } catch (err) { console.error(`Error in ${name} listener:`, err); }
+    }
+}
+
+export const gameEvents = { EVENTS: GAME_EVENT, on: onGameEvent, off: offGameEvent };
+
+// ─── Static Object Definitions (statinfo) ───────
+// Type index (0-46) from decoded map data
+// [blocking, pickupType]; tile is the sprites.png cell main.js draws it with
+export const STATINFO = [
+    { name: 'puddle',      block: false, pickup: null,       tile: [0, 0] },   // 0
+    { name: 'greenBarrel', block: true,  pickup: null,       tile: [2, 1] },   // 1
+    { name: 'tableChairs', block: true,  pickup: null,       tile: [13, 1] },  // 2
+    { name: 'floorLamp',   block: true,  pickup: null,       tile: [3, 1] },   // 3
+    { name: 'chandelier',  block: false, pickup: null,       tile: [4, 1] },   // 4
+    { name: 'hangedMan',   block: true,  pickup: null,       tile: [5, 1] },   // 5
+    { name: 'dogFood',     block: false, pickup: 'food',     tile: [10, 3] },  // 6
+    { name: 'pillar',      block: true,  pickup: null,       tile: [8, 1] },   // 7
+    { name: 'tree',        block: true,  pickup: null,       tile: [9, 1] },   // 8
+    { name: 'skeleton',    block: false, pickup: null,       tile: [10, 1] },  // 9
+    { name: 'sink',        block: true,  pickup: null,       tile: [11, 1] },  // 10
+    { name: 'plant',       block: true,  pickup: null,       tile: [11, 1] },  // 11
+    { name: 'urn',         block: true,  pickup: null,       tile: [12, 1] },  // 12
+    { name: 'bareTable',   block: true,  pickup: null,       tile: [13, 1] },  // 13
+    { name: 'ceilLight',   block: false, pickup: null,       tile: [0, 2], light: true },  // 14
+    { name: 'pans',        block: false, pickup: null,       tile: [1, 2] },   // 15
+    { name: 'armor',       block: true,  pickup: null,       tile: [2, 2] },   // 16
+    { name: 'cage',        block: true,  pickup: null,       tile: [3, 2] },   // 17
+    { name: 'cageSkel',    block: true,  pickup: null,       tile: [3, 2] },   // 18
+    { name: 'bonesRelax',  block: false, pickup: null,       tile: [4, 3] },   // 19
+    { name: 'key1',        block: false, pickup: 'key1',     tile: [5, 3] },   // 20
+    { name: 'key2',        block: false, pickup: 'key2',     tile: [6, 3] },   // 21
+    { name: 'stuff',       block: true,  pickup: null,       tile: [7, 3] },   // 22
+    { name: 'junk',        block: false, pickup: null,       tile: [4, 3] },   // 23
+    { name: 'food',        block: false, pickup: 'food',     tile: [10, 3] },  // 24
+    { name: 'firstaid',    block: false, pickup: 'health',   tile: [11, 3] },  // 25
+    { name: 'clip',        block: false, pickup: 'ammo',     tile: [12, 3] },  // 26
+    { name: 'machinegun',  block: false, pickup: 'machinegun', tile: [13, 3] },// 27
+    { name: 'chaingun',    block: false, pickup: 'chaingun', tile: [7, 3] },   // 28
+    { name: 'cross',       block: false, pickup: 'cross',    tile: [14, 3] },  // 29
+    { name: 'chalice',     block: false, pickup: 'chalice',  tile: [15, 3] },  // 30
+    { name: 'bible',       block: false, pickup: 'bible',    tile: [0, 4] },   // 31
+    { name: 'crown',       block: false, pickup: 'crown',    tile: [1, 4] },   // 32
+    { name: 'oneUp',       block: false, pickup: 'oneup',    tile: [2, 4] },   // 33
+    { name: 'gibs',        block: false, pickup: null,       tile: [7, 4] },   // 34
+    { name: 'barrel',      block: true,  pickup: null,       tile: [4, 4] },   // 35
+    { name: 'well',        block: true,  pickup: null,       tile: [5, 4] },   // 36
+    { name: 'emptyWell',   block: true,  pickup: null,       tile: [6, 4] },   // 37
+    { name: 'gibs2',       block: false, pickup: null,       tile: [7, 4] },   // 38
+    { name: 'flag',        block: true,  pickup: null,       tile: [8, 4] },   // 39
+    { name: 'callApogee',  block: true,  pickup: null,       tile: [0, 5] },   // 40
+    { name: 'junk2',       block: false, pickup: null,       tile: [4, 3] },   // 41
+    { name: 'junk3',       block: false, pickup: null,       tile: [4, 3] },   // 42
+    { name: 'junk4',       block: false, pickup: null,       tile: [4, 3] },   // 43
+    { name: 'pots',        block: false, pickup: null,       tile: [1, 2] },   // 44
+    { name: 'stove',       block: true,  pickup: null,       tile: [15, 5] },  // 45
+    { name: 'spears',      block: true,  pickup: null,       tile: [0, 5] },   // 46
+];
+
+// ─── Enemy Types ────────────────────────────────
+// Each type has unique behavioral flags:
+//   melee: only attacks at close range (dogs)
+//   silent: no alert sound, attacks instantly (mutants)
+//   noPain: ignores pain state (bosses)
+//   alertSfx/deathSfx/atkSfx: keys into main.js's SFX table
+//   sprites: SPRITE_SETS key for the enemy's atlas and frame tables
+//   tint: [r, g, b] applied only while the sprite set has fallen back to the guard sheet
+//   scale: sprite [width, height] in world units
+//   isBoss: counts toward ending a boss floor, unless it is a decoy
+//   decoy: a boss-class enemy the floor doesn't wait for (Fake Hitler)
+//   hp: number, or per-skill array [baby, easy, medium, hard] (original starthitpoints)
+//   burst: shots fired per attack (chaingun bosses)
+//   drop: STATINFO index left behind on death (26 = clip, 20 = gold key), null for nothing
+//   projectile: PROJECTILE_TYPES key fired instead of a hitscan shot
+//   ghost: Pac-Man ghost — always chases, hurts on contact, never counted as a kill
+//   invulnerable: shots and blasts pass harmlessly
+//   nextPhase: enemy type that takes over when this one is destroyed (Mecha → Hitler)
+//   dodges: strafes during combat (officers, SS)
+//   rushes: charges straight at player ignoring caution distance (dogs)
+//   canOpenDoors: can open doors during chase
+export const ENEMY_TYPES = {
+    guard:   { name:'Guard',   hp:25,  speed:2.2, dmg:[5,10],  score:100,  alertDist:13, shootDist:12, cooldown:[0.9,1.5], acc:0.6,  alertSfx:'guardAlert',   deathSfx:'guardDeath',   atkSfx:'guardAttack',   tint:null, scale:[1.55,2.08], melee:false, silent:false, noPain:false, dodges:false, rushes:false, canOpenDoors:true, drop:26, sprites:'guard' },
+    officer: { name:'Officer', hp:50,  speed:3.4, dmg:[8,15],  score:400,  alertDist:18, shootDist:14, cooldown:[0.6,1.1], acc:0.75, alertSfx:'officerAlert', deathSfx:'officerDeath', atkSfx:'guardAttack',   tint:[0.9,0.9,1.2], scale:[1.55,2.08], melee:false, silent:false, noPain:false, dodges:true, rushes:false, canOpenDoors:true, drop:26, sprites:'officer' },
+    ss:      { name:'SS',      hp:100, speed:2.9, dmg:[10,20], score:500,  alertDist:20, shootDist:16, cooldown:[0.45,0.85], acc:0.8,  alertSfx:'ssAlert',      deathSfx:'ssDeath',      atkSfx:'ssAttack',      tint:[0.5,0.5,0.5], scale:[1.68,2.24], melee:false, silent:false, noPain:false, dodges:true, rushes:false, canOpenDoors:true, drop:26, sprites:'ss' },
+    dog:     { name:'Dog',     hp:1,   speed:5.2, dmg:[5,12],  score:200,  alertDist:15, shootDist:2.4,cooldown:[0.45,0.8], acc:0.9,  alertSfx:'dogAlert',     deathSfx:'dogDeath',     atkSfx:'knife',         tint:null, scale:[1.30,1.05], melee:true, silent:false, noPain:false, dodges:false, rushes:true, canOpenDoors:false, drop:null, sprites:'dog' },
+    mutant:  { name:'Mutant',  hp:[45,55,55,65],  speed:2.8, dmg:[8,18],  score:700,  alertDist:16, shootDist:12, cooldown:[0.2,0.4], acc:0.7,  alertSfx:'guardAlert',   deathSfx:'mutantDeath',  atkSfx:'guardAttack',   tint:[0.4,0.8,0.3], scale:[1.68,2.24], melee:false, silent:true, noPain:false, dodges:false, rushes:false, canOpenDoors:true, drop:26, sprites:'mutant' },
+    hans:    { name:'Hans Grösse',   hp:[850,950,1050,1200], speed:1.7, dmg:[15,30], score:5000, alertDist:24, shootDist:19, cooldown:[0.5,0.9], acc:0.85, alertSfx:'bossAlert', deathSfx:'bossDeath', atkSfx:'chaingunFire', tint:[0.85,0.85,1.25], scale:[2.30,2.78], melee:false, silent:false, noPain:true, dodges:false, rushes:false, canOpenDoors:true, isBoss:true, burst:3, drop:20, sprites:'hans' },
+    schabbs: { name:'Dr. Schabbs',   hp:[850,950,1550,2400], speed:1.5, dmg:[10,25], score:5000, alertDist:24, shootDist:16, cooldown:[0.9,1.5], acc:0.8,  alertSfx:'bossAlert', deathSfx:'bossDeath', atkSfx:'knife',        tint:[1.2,1.2,1.2],   scale:[2.10,2.60], melee:false, silent:false, noPain:true, dodges:false, rushes:false, canOpenDoors:true, isBoss:true, burst:1, drop:null, projectile:'syringe', sprites:'schabbs' },
+    fakehitler: { name:'Fake Hitler', hp:[200,300,400,500],  speed:2.0, dmg:[5,15],  score:2000, alertDist:22, shootDist:16, cooldown:[0.8,1.3], acc:0.7,  alertSfx:'bossAlert', deathSfx:'bossDeath', atkSfx:'bossAttack',  tint:[1.0,0.75,0.75], scale:[2.00,2.50], melee:false, silent:false, noPain:true, dodges:false, rushes:false, canOpenDoors:true, isBoss:true, decoy:true, burst:5, drop:null, projectile:'fireball', sprites:'fakehitler' },
+    mechahitler: { name:'Mecha Hitler', hp:[800,950,1050,1200], speed:1.4, dmg:[15,30], score:5000, alertDist:24, shootDist:19, cooldown:[0.5,0.9], acc:0.85, alertSfx:'bossAlert', deathSfx:'bossDeath', atkSfx:'chaingunFire', tint:[0.7,0.7,0.8], scale:[2.50,2.90], melee:false, silent:false, noPain:true, dodges:false, rushes:false, canOpenDoors:true, isBoss:true, burst:4, drop:null, nextPhase:'hitler', sprites:'mechahitler' },
+    hitler:  { name:'Hitler',        hp:[500,700,800,900],   speed:3.0, dmg:[15,30], score:5000, alertDist:24, shootDist:19, cooldown:[0.4,0.8], acc:0.85, alertSfx:'bossAlert', deathSfx:'bossDeath', atkSfx:'chaingunFire', tint:[1.1,0.9,0.9], scale:[2.10,2.60], melee:false, silent:false, noPain:true, dodges:false, rushes:false, canOpenDoors:true, isBoss:true, burst:4, drop:null, sprites:'hitler' },
+    gretel:  { name:'Gretel Grösse', hp:[850,950,1050,1200], speed:1.8, dmg:[15,30], score:5000, alertDist:24, shootDist:19, cooldown:[0.5,0.9], acc:0.85, alertSfx:'bossAlert', deathSfx:'bossDeath', atkSfx:'chaingunFire', tint:[1.2,1.0,0.8], scale:[2.30,2.78], melee:false, silent:false, noPain:true, dodges:false, rushes:false, canOpenDoors:true, isBoss:true, burst:3, drop:20, sprites:'gretel' },
+    // Pac-Man ghosts: dmg is per touch, cooldown the time between touches
+    blinky:  { name:'Blinky', hp:1, speed:2.4, dmg:[2,4], score:0, alertDist:0, shootDist:1.2, cooldown:[0.3,0.4], acc:1, alertSfx:null, deathSfx:null, atkSfx:null, tint:[1.4,0.3,0.3], scale:[1.50,1.50], melee:true, silent:true, noPain:true, dodges:false, rushes:false, canOpenDoors:false, drop:null, ghost:true, invulnerable:true, sprites:'blinky' },
+    clyde:   { name:'Clyde',  hp:1, speed:2.0, dmg:[2,4], score:0, alertDist:0, shootDist:1.2, cooldown:[0.3,0.4], acc:1, alertSfx:null, deathSfx:null, atkSfx:null, tint:[1.4,0.9,0.3], scale:[1.50,1.50], melee:true, silent:true, noPain:true, dodges:false, rushes:false, canOpenDoors:false, drop:null, ghost:true, invulnerable:true, sprites:'clyde' },
+    pinky:   { name:'Pinky',  hp:1, speed:2.2, dmg:[2,4], score:0, alertDist:0, shootDist:1.2, cooldown:[0.3,0.4], acc:1, alertSfx:null, deathSfx:null, atkSfx:null, tint:[1.4,0.7,1.2], scale:[1.50,1.50], melee:true, silent:true, noPain:true, dodges:false, rushes:false, canOpenDoors:false, drop:null, ghost:true, invulnerable:true, sprites:'pinky' },
+    inky:    { name:'Inky',   hp:1, speed:2.2, dmg:[2,4], score:0, alertDist:0, shootDist:1.2, cooldown:[0.3,0.4], acc:1, alertSfx:null, deathSfx:null, atkSfx:null, tint:[0.4,1.2,1.4], scale:[1.50,1.50], melee:true, silent:true, noPain:true, dodges:false, rushes:false, canOpenDoors:false, drop:null, ghost:true, invulnerable:true, sprites:'inky' },
+    // Generic boss for level data decoded before per-boss codes were split out
+    boss:    { name:'Boss',    hp:850, speed:1.7, dmg:[15,30], score:5000, alertDist:24, shootDist:19, cooldown:[0.3,0.6], acc:0.85, alertSfx:'bossAlert',    deathSfx:'bossDeath',    atkSfx:'bossAttack',    tint:[1.2,0.8,0.8], scale:[2.30,2.78], melee:false, silent:false, noPain:true, dodges:false, rushes:false, canOpenDoors:true, isBoss:true, burst:1, drop:null, sprites:'hans' },
+};
+
+// Original dirtype order (east, northeast, north ... southeast) as grid steps.
+// Decoded maps flip Y, so north is +Z in world space.
+const DIR8 = [[1,0],[1,1],[0,1],[-1,1],[-1,0],[-1,-1],[0,-1],[1,-1]];
+
+function dir8Angle(dir) {
+    const [vx, vz] = DIR8[dir] || DIR8[0];
+    return Math.atan2(vx, vz); // same convention as patrolAngle/moveAngle (sin → x, cos → z)
+}
+
+export const AI = { STAND:0, PATROL:1, ALERT:2, CHASE:3, ATTACK:4, PAIN:5, DYING:6, DEAD:7, DOOR_WAIT:8, DODGE:9, INVESTIGATE:10, GHOST:11 };
+
+// ─── Level State ────────────────────────────────
+export let levelIndex = -1;      // LEVELS key of the loaded floor
+export let levelWalls = null;    // 64x64 wall values (>0 wall, -1 door, 0 floor)
+export let levelDoors = [];      // { gridX, gridY, vertical, doorType, openAmount, opening, open, closing, ... }
+export let levelPushwalls = [];  // secret walls, x/z is the sliding block's centre
+export let levelTurnPoints = null; // 64x64 patrol arrow dirs (-1 = none)
+export let levelSecretExits = new Set(); // tile indices of secret elevator floors
+export let levelEnemies = [];    // { x, z, enemyType, typeDef, alive, aiState, health, ... }
+export let levelStatics = [];    // props { x, z, statType, blocking } and exit markers { x, z, isExit }
+export let levelPickups = [];    // { x, z, pickupType, statType, collected }
+export let levelProjectiles = []; // in-flight syringes, fireballs, rockets
+export let levelStats = createLevelStats();
+export let tickCount = 0;
+
+// ─── Spatial Grid ───────────────────────────────
+// Per-floor 64x64 index of what stands on each tile, so collision, line of sight,
+// pathfinding and pickups look up tiles instead of scanning the entity lists.
+// Doors and props never move; living enemies are re-filed as they cross tiles.
+const gridDoors = new Array(MAP_SIZE * MAP_SIZE).fill(null);   // door occupying the tile
+const gridStatics = new Array(MAP_SIZE * MAP_SIZE).fill(null); // prop or exit marker at the tile centre
+const gridPickups = Array.from({ length: MAP_SIZE * MAP_SIZE }, () => []);
+const gridEnemies = Array.from({ length: MAP_SIZE * MAP_SIZE }, () => []); // living enemies only
+const enemyTiles = new Map(); // enemy → tile index it is filed under
+
+function tileIndexAt(wx, wz) {
+    const gx = Math.floor(wx / CELL), gz = Math.floor(wz / CELL);
+    return gx < 0 || gx >= MAP_SIZE || gz < 0 || gz >= MAP_SIZE ? -1 : gz * MAP_SIZE + gx;
+}
+
+function clearEntityGrid() {
+    for (const list of gridPickups) list.length = 0;
+    for (const list of gridEnemies) list.length = 0;
+    enemyTiles.clear();
+}
+
+// Files an enemy under the tile it stands on; the dead drop out of the grid
+function fileEnemy(e) {
+    const prev = enemyTiles.get(e) ?? -1;
+    const tile = e.alive ? tileIndexAt(e.x, e.z) : -1;
+    if (tile === prev) return;
+    if (prev >= 0) gridEnemies[prev].splice(gridEnemies[prev].indexOf(e), 1);
+    if (tile >= 0) {
+        gridEnemies[tile].push(e);
+        enemyTiles.set(e, tile);
+    } else {
+        enemyTiles.delete(e);
+    }
+}
+
+function filePickup(p) {
+    const tile = tileIndexAt(p.x, p.z);
+    if (tile >= 0) gridPickups[tile].push(p);
+}
+
+// Everything filed in the tiles within `range` of the one containing (wx, wz)
+function gatherNear(grid, wx, wz, range = 1) {
+    const gx = Math.floor(wx / CELL), gz = Math.floor(wz / CELL);
+    const found = [];
+    for (let z = Math.max(0, gz - range); z <= Math.min(MAP_SIZE - 1, gz + range); z++) {
+        for (let x = Math.max(0, gx - range); x <= Math.min(MAP_SIZE - 1, gx + range); x++) {
+            found.push(...grid[z * MAP_SIZE + x]);
+        }
+    }
+    return found;
+}
+
+// ─── Level Loading ──────────────────────────────
+
+function clearLevel() {
+    levelIndex = -1;
+    levelDoors = []; levelEnemies = []; levelStatics = []; levelPickups = []; levelProjectiles = [];
+    levelPushwalls = [];
+    levelTurnPoints = null;
+    levelSecretExits = new Set();
+    levelAreas = null; areaConnect = null; areaCount = 0;
+    levelStats = createLevelStats();
+    levelWalls = null;
+    gridDoors.fill(null);
+    gridStatics.fill(null);
+    clearEntityGrid();
+    invalidatePaths();
+}
+
+// Per-floor counters shown on the intermission tally
+function createLevelStats() {
+    return {
+        kills: 0, killsTotal: 0,
+        secrets: 0, secretsTotal: 0,
+        treasure: 0, treasureTotal: 0,
+        time: 0, completed: false,
+        damageTaken: 0, // health lost on this floor; kept across save/load
+        exiting: false, exitTimer: 0, exitSecret: false,
+        next: null, // floor enterNextFloor() goes to, once completed
+    };
+}
+
+export function spawnPickup(wx, wz, typeIdx) {
+    const p = { x: wx, z: wz, pickupType: STATINFO[typeIdx].pickup, statType: typeIdx, collected: false };
+    levelPickups.push(p);
+    filePickup(p);
+    return p;
+}
+
+// Creates an enemy from a decoded map entry ({ x, y, type, dir, patrol, ambush, dead })
+export function spawnEnemy(e) {
+    const typeDef = ENEMY_TYPES[e.type];
+    const wx = e.x * CELL + CELL / 2;
+    const wz = e.y * CELL + CELL / 2;
+    const enemy = {
+        x: wx, z: wz,
+        alive: !e.dead,
+        enemyType: e.type, typeDef,
+        health: Array.isArray(typeDef.hp) ? typeDef.hp[state.difficulty] ?? typeDef.hp[DEFAULT_SKILL] : typeDef.hp,
+        aiState: e.dead ? AI.DEAD : typeDef.ghost ? AI.GHOST : e.patrol ? AI.PATROL : AI.STAND,
+        shootCooldown: typeDef.cooldown[0] + random() * (typeDef.cooldown[1] - typeDef.cooldown[0]),
+        alertTimer: 0, painTimer: 0,
+        // Pre-placed corpses start at the end of their death animation
+        deathTime: e.dead ? ENEMY_DEATH_TIME : 0,
+        attackPhase: 'none', attackTimer: 0, attackDidFire: false, attackShotsLeft: 0,
+        alerted: !!typeDef.ghost,
+        deaf: !!e.ambush, // ambush tile — ignores gunfire until it sees the player
+        lastSeenX: wx, lastSeenZ: wz, lostSightTimer: 0,
+        // Map enemy dirs are E/N/W/S — every other entry of DIR8
+        patrols: !!e.patrol, patrolDir: (e.dir || 0) * 2, patrolTarget: null, patrolBlockedTimer: 0,
+        patrolAngle: dir8Angle((e.dir || 0) * 2),
+        walkFrame: 0, walkTimer: 0,
+        moveAngle: dir8Angle((e.dir || 0) * 2), moveTimer: 0,
+        dir: e.dir || 0,
+        // Investigate state
+        investigateX: 0, investigateZ: 0, investigateTimer: 0,
+        // Dodge state (officers/SS)
+        dodgeTimer: 0, dodgeDir: 1,
+        // Door wait state
+        doorWaitTimer: 0, doorWaitX: 0, doorWaitZ: 0,
+    };
+    levelEnemies.push(enemy);
+    fileEnemy(enemy);
+    return enemy;
+}
+
+export function loadLevel(levelIdx) {
+    clearLevel();
+    const lvl = LEVELS[levelIdx];
+    if (!lvl) { console.error('Level not found:', levelIdx); return false; }
+
+    levelIndex = Number(levelIdx);
+    levelWalls = lvl.walls.slice(); // copy
+
+    // Secret pushwall markers (object plane code 98)
+    const pushwallCells = new Set((lvl.pushwalls || []).map(p => p.y * MAP_SIZE + p.x));
+    for (let y = 0; y < MAP_SIZE; y++) {
+        for (let x = 0; x < MAP_SIZE; x++) {
+            const w = levelWalls[y * MAP_SIZE + x];
+            if (w <= 0 || !pushwallCells.has(y * MAP_SIZE + x)) continue;
+            levelPushwalls.push({
+                wallValue: w,
+                gridX: x, gridY: y,
+                x: x * CELL + CELL / 2, z: y * CELL + CELL / 2,
+                pushing: false, pushed: false,
+                dirX: 0, dirZ: 0,
+                pushAmount: 0, tilesMoved: 0,
+            });
+        }
+    }
+    levelStats.secretsTotal = levelPushwalls.length;
+
+    for (const d of lvl.doors) {
+        const door = {
+            doorType: d.type,
+            vertical: d.vertical,
+            gridX: d.x, gridY: d.y,
+            openAmount: 0, opening: false, open: false,
+            closing: false, closeTimer: 0,
+        };
+        levelDoors.push(door);
+        gridDoors[d.y * MAP_SIZE + d.x] = door;
+        // Mark door cell in walls as -1 so collision/LOS treat it as a door cell.
+        levelWalls[d.y * MAP_SIZE + d.x] = -1;
+    }
+
+    initAreas(lvl);
+
+    // Static objects
+    for (const s of lvl.statics) {
+        const wx = s.x * CELL + CELL / 2;
+        const wz = s.y * CELL + CELL / 2;
+        if (s.type === 'exit') {
+            // Exit marker — victory tile trigger
+            const exit = { x: wx, z: wz, isExit: true };
+            levelStatics.push(exit);
+            gridStatics[s.y * MAP_SIZE + s.x] = exit;
+            continue;
+        }
+        const typeIdx = (typeof s.type === 'number') ? s.type : -1;
+        const info = STATINFO[typeIdx];
+        if (!info) continue;
+
+        if (info.pickup) {
+            spawnPickup(wx, wz, typeIdx);
+            if (TREASURE_PICKUPS.includes(info.pickup)) levelStats.treasureTotal++;
+        } else {
+            const prop = { x: wx, z: wz, statType: typeIdx, blocking: info.block };
+            levelStatics.push(prop);
+            gridStatics[s.y * MAP_SIZE + s.x] = prop;
+        }
+    }
+
+    for (const t of lvl.secretExits || []) levelSecretExits.add(t.y * MAP_SIZE + t.x);
+
+    // Patrol turn arrows
+    levelTurnPoints = new Int8Array(MAP_SIZE * MAP_SIZE).fill(-1);
+    for (const t of lvl.turnPoints || []) levelTurnPoints[t.y * MAP_SIZE + t.x] = t.dir;
+
+    // Level data from the old decoder marks every boss 'boss'; a lone one on an episode's
+    // boss floor can only be that episode's boss
+    const legacyBosses = lvl.enemies.filter(e => e.type === 'boss').length;
+    const episodeBoss = levelIndex % 10 === BOSS_MAP && legacyBosses === 1
+        ? EPISODE_BOSSES[Math.floor(levelIndex / 10)] : null;
+
+    // Enemies — only the tiers enabled for the selected skill level
+    const skill = getSkill();
+    for (const e of lvl.enemies) {
+        if ((e.difficulty || 0) > skill.maxTier) continue;
+        if (!ENEMY_TYPES[e.type]) continue;
+        spawnEnemy(episodeBoss && e.type === 'boss' ? { ...e, type: episodeBoss } : e);
+    }
+
+    levelStats.killsTotal = levelEnemies.filter(e => e.alive && !e.typeDef.ghost).length;
+
+    // Player spawn
+    player.x = lvl.spawnX * CELL + CELL / 2;
+    player.z = lvl.spawnY * CELL + CELL / 2;
+    player.y = EYE_H;
+    player.velY = 0;
+    // Spawn angle: 0=east, 90=north, 180=west, 270=south (original Wolf3D)
+    // In our system: yaw=0 faces -Z (north), yaw=-PI/2 faces +X (east)
+    player.yaw = ((lvl.spawnAngle || 0) - 90) * Math.PI / 180;
+    player.pitch = 0;
+    player.speed = 0;
+    player.bob = 0;
+    player.dead = false;
+
+    emitGameEvent(GAME_EVENT.LEVEL_STARTED, { levelIdx: levelIndex, episode: state.episode, level: state.level, name: lvl.name });
+    return true;
+}
+
+// Rewrites one levelWalls entry and tells the renderer (pushwalls, elevator switches)
+function setTile(gx, gz, value) {
+    levelWalls[gz * MAP_SIZE + gx] = value;
+    invalidatePaths();
+    emitGameEvent(GAME_EVENT.TILE_CHANGED, { gridX: gx, gridY: gz, value });
+}
+
+// ─── Collision ──────────────────────────────────
+
+export function isBlocked(wx, wz) {
+    const tile = tileIndexAt(wx, wz);
+    if (tile < 0) return true;
+    const w = levelWalls[tile];
+    if (w > 0) return true;
+    if (w === -1) {
+        const door = gridDoors[tile];
+        if (door && door.openAmount >= DOOR_PASSABLE_OPEN) return false;
+        return true;
+    }
+    // Props stand at the tile centre, so only this tile's can be within reach
+    const s = gridStatics[tile];
+    if (s && s.blocking) {
+        const sdx = wx - s.x, sdz = wz - s.z;
+        if (sdx * sdx + sdz * sdz < 0.36) return true; // 0.6² = 0.36, circular collision
+    }
+    return false;
+}
+
+// Grid-level blocked check for pathfinding: walls and blocking props; doors are passable
+function isTileBlocked(gx, gz) {
+    if (gx < 0 || gx >= MAP_SIZE || gz < 0 || gz >= MAP_SIZE) return true;
+    const tile = gz * MAP_SIZE + gx;
+    if (levelWalls[tile] > 0) return true;
+    const s = gridStatics[tile];
+    return !!(s && s.blocking);
+}
+
+// Check if a tile has a closed door
+export function getDoorAt(gx, gz) {
+    if (gx < 0 || gx >= MAP_SIZE || gz < 0 || gz >= MAP_SIZE) return null;
+    if (levelWalls[gz * MAP_SIZE + gx] !== -1) return null;
+    return gridDoors[gz * MAP_SIZE + gx];
+}
+
+export function hasLineOfSight(x1, z1, x2, z2) {
+    const dx = x2 - x1, dz = z2 - z1;
+    const dist = Math.sqrt(dx * dx + dz * dz);
+    if (dist < 0.1) return true; // same spot
+    // Use finer step size for better accuracy, skip start and end cells
+    const stepSize = 0.4;
+    const steps = Math.max(2, Math.ceil(dist / stepSize));
+    const startGX = Math.floor(x1 / CELL), startGZ = Math.floor(z1 / CELL);
+    const endGX = Math.floor(x2 / CELL), endGZ = Math.floor(z2 / CELL);
+    for (let i = 1; i < steps; i++) {
+        const t = i / steps;
+        const cx = x1 + dx * t, cz = z1 + dz * t;
+        const gx = Math.floor(cx / CELL), gz = Math.floor(cz / CELL);
+        // Skip the start and end cells (entities might be in door cells)
+        if (gx === startGX && gz === startGZ) continue;
+        if (gx === endGX && gz === endGZ) continue;
+        if (gx < 0 || gx >= MAP_SIZE || gz < 0 || gz >= MAP_SIZE) return false;
+        const w = levelWalls[gz * MAP_SIZE + gx];
+        if (w > 0) return false;
+        if (w === -1) {
+            const door = gridDoors[gz * MAP_SIZE + gx];
+            if (!door || door.openAmount < DOOR_PASSABLE_OPEN) return false;
+        }
+    }
+    return true;
+}
+
+export function normalizeAngle(a) {
+    while (a > Math.PI) a -= Math.PI * 2;
+    while (a < -Math.PI) a += Math.PI * 2;
+    return a;
+}
+
+function startEnemyAttack(e) {
+    e.aiState = AI.ATTACK;
+    e.attackPhase = 'aim';
+    e.attackTimer = 0.14 + random() * 0.10; // faster reaction before firing
+    e.attackDidFire = false;
+    e.attackShotsLeft = e.typeDef.burst || 1;
+}
+
+function finishEnemyAttack(e) {
+    const td = e.typeDef;
+    e.attackPhase = 'none';
+    e.attackTimer = 0;
+    e.attackDidFire = false;
+    if (td.dodges && random() < 0.6) {
+        e.aiState = AI.DODGE;
+        e.dodgeTimer = 0.35 + random() * 0.35;
+        e.dodgeDir = random() < 0.5 ? 1 : -1;
+    } else {
+        e.aiState = AI.CHASE;
+    }
+}
+
+function damagePlayer(dmg) {
+    // Original Wolf3D: baby mode quarters all damage taken (points >>= 2)
+    dmg >>= getSkill().damageShift;
+    if (dmg <= 0) return;
+    state.health = Math.max(0, state.health - dmg);
+    levelStats.damageTaken += dmg;
+    emitGameEvent(GAME_EVENT.PLAYER_DAMAGED, { amount: dmg, health: state.health });
+}
+
+function enemyAttemptHitPlayer(e, dist) {
+    const td = e.typeDef;
+    const tileDist = dist / CELL;
+    let effectiveDist = tileDist;
+    if (e.enemyType === 'ss' || td.isBoss) {
+        effectiveDist = (effectiveDist * 2) / 3;
+    }
+
+    // Match classic Wolf3D behavior: running makes enemy shots less accurate.
+    let hitChance = player.speed >= state.moveSpeed * 1.35 ? 160 : 256;
+    const playerToEnemy = Math.atan2(e.x - player.x, e.z - player.z);
+    const facingDiff = Math.abs(normalizeAngle(playerToEnemy - player.yaw));
+    hitChance -= effectiveDist * (facingDiff < Math.PI / 3 ? 16 : 8);
+    hitChance = Math.max(8, Math.min(255, hitChance));
+
+    if (Math.floor(random() * 256) >= hitChance) return;
+
+    let rawDamage = Math.floor(random() * 256);
+    if (effectiveDist < 2) rawDamage >>= 2;
+    else if (effectiveDist < 4) rawDamage >>= 3;
+    else rawDamage >>= 4;
+
+    const typeScale = Math.max(0.4, (td.dmg[0] + td.dmg[1]) / 24);
+    const dmg = Math.min(td.dmg[1] * 3, Math.max(1, Math.round(rawDamage * typeScale)));
+    damagePlayer(dmg);
+}
+
+function enemyFireAtPlayer(e, dist) {
+    const td = e.typeDef;
+    emitGameEvent(GAME_EVENT.ENEMY_ATTACKED, { enemy: e, typeDef: td });
+
+    if (td.melee) {
+        if (dist >= 1.35) return;
+        if (!hasLineOfSight(e.x, e.z, player.x, player.z)) return;
+        if (Math.floor(random() * 256) >= 180) return;
+        const rawDamage = Math.floor(random() * 256) >> 4;
+        const dmg = Math.max(td.dmg[0], Math.min(td.dmg[1], rawDamage));
+        damagePlayer(dmg);
+        return;
+    }
+
+    if (dist >= td.shootDist) return;
+    if (!hasLineOfSight(e.x, e.z, player.x, player.z)) return;
+    if (td.projectile) {
+        // Thrown/fired attacks travel and can be dodged instead of rolling to hit
+        const angle = Math.atan2(player.x - e.x, player.z - e.z);
+        spawnProjectile(td.projectile, e.x + Math.sin(angle) * 0.5, e.z + Math.cos(angle) * 0.5, angle);
+        return;
+    }
+    enemyAttemptHitPlayer(e, dist);
+}
+
+// ─── Pathfinding ────────────────────────────────
+// Cardinal-only grid search, like Wolf3D. Doors are passable, but a closed one costs extra
+// so routes through open doors win. findPath() runs A* toward any tile; enemies chasing the
+// player instead descend a shared distance field built outward from the player's tile.
+// Paths and the field stay cached until a door opens or closes or a tile changes.
+
+const DOOR_PATH_COST = 3;
+const PATH_UNREACHED = 0x7fffffff;
+const PATH_CACHE_LIMIT = 4096;
+const PATH_DIRS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+const _pathCache = new Map();
+const _pathG = new Int32Array(MAP_SIZE * MAP_SIZE);
+const _pathFrom = new Int32Array(MAP_SIZE * MAP_SIZE);
+const _pathClosed = new Uint8Array(MAP_SIZE * MAP_SIZE);
+
+// Steps from each tile to the player's tile, valid while the player stays on playerFlowTile
+const playerFlow = new Int32Array(MAP_SIZE * MAP_SIZE);
+let playerFlowTile = -1;
+
+// Binary min-heap of tile indices with their priorities in a parallel array
+function heapPush(heap, tile, prio) {
+    const { tiles, prios } = heap;
+    let i = tiles.length;
+    tiles.push(tile); prios.push(prio);
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (prios[parent] <= prio) break;
+        tiles[i] = tiles[parent]; prios[i] = prios[parent];
+        i = parent;
+    }
+    tiles[i] = tile; prios[i] = prio;
+}
+
+function heapPop(heap) {
+    const { tiles, prios } = heap;
+    const top = tiles[0];
+    const lastTile = tiles.pop(), lastPrio = prios.pop();
+    const n = tiles.length;
+    if (n > 0) {
+        let i = 0;
+        for (;;) {
+            let child = i * 2 + 1;
+            if (child >= n) break;
+            if (child + 1 < n && prios[child + 1] < prios[child]) child++;
+            if (prios[child] >= lastPrio) break;
+            tiles[i] = tiles[child]; prios[i] = prios[child];
+            i = child;
+        }
+        tiles[i] = lastTile; prios[i] = lastPrio;
+    }
+    return top;
+}
+
+// Cost of stepping onto a tile
+function pathStepCost(gx, gz) {
+    const door = getDoorAt(gx, gz);
+    return door && !door.open ? DOOR_PATH_COST : 1;
+}
+
+// Called whenever passability changes: door fully opened or starting to close, tile rewritten
+function invalidatePaths() {
+    _pathCache.clear();
+    playerFlowTile = -1;
+}
+
+export function findPath(startX, startZ, goalX, goalZ) {
+    const sx = Math.floor(startX / CELL), sz = Math.floor(startZ / CELL);
+    const gx = Math.floor(goalX / CELL), gz = Math.floor(goalZ / CELL);
+    if (sx === gx && sz === gz) return null; // already there
+    if (gx < 0 || gx >= MAP_SIZE || gz < 0 || gz >= MAP_SIZE) return null;
+
+    const start = sz * MAP_SIZE + sx, goal = gz * MAP_SIZE + gx;
+    const cacheKey = start * MAP_SIZE * MAP_SIZE + goal;
+    if (_pathCache.has(cacheKey)) return _pathCache.get(cacheKey);
+    if (_pathCache.size >= PATH_CACHE_LIMIT) _pathCache.clear();
+
+    // A* with Manhattan heuristic; a tile can sit in the heap more than once, stale
+    // entries are skipped when popped
+    _pathG.fill(PATH_UNREACHED);
+    _pathClosed.fill(0);
+    _pathG[start] = 0;
+    const open = { tiles: [], prios: [] };
+    heapPush(open, start, Math.abs(gx - sx) + Math.abs(gz - sz));
+
+    let path = null;
+    while (open.tiles.length > 0) {
+        const cur = heapPop(open);
+        if (_pathClosed[cur]) continue;
+        _pathClosed[cur] = 1;
+
+        if (cur === goal) {
+            path = [];
+            for (let t = goal; t !== start; t = _pathFrom[t])
+                path.push({ x: t % MAP_SIZE, z: Math.floor(t / MAP_SIZE) });
+            path.reverse();
+            break;
+        }
+
+        const cx = cur % MAP_SIZE, cz = Math.floor(cur / MAP_SIZE);
+        for (const [ddx, ddz] of PATH_DIRS) {
+            const nx = cx + ddx, nz = cz + ddz;
+            // The goal is the target's own tile, which may hold a prop it stands beside
+            if (isTileBlocked(nx, nz) && !(nx === gx && nz === gz)) continue;
+            const next = nz * MAP_SIZE + nx;
+            if (_pathClosed[next]) continue;
+            const g = _pathG[cur] + pathStepCost(nx, nz);
+            if (g < _pathG[next]) {
+                _pathG[next] = g;
+                _pathFrom[next] = cur;
+                heapPush(open, next, g + Math.abs(gx - nx) + Math.abs(gz - nz));
+            }
+        }
+    }
+
+    _pathCache.set(cacheKey, path);
+    return path;
+}
+
+// Dijkstra outward from the player's tile, rebuilt only once the player changes tile
+// or after invalidatePaths()
+function getPlayerFlow() {
+    const source = tileIndexAt(player.x, player.z);
+    if (source === playerFlowTile) return playerFlow;
+    playerFlowTile = source;
+    playerFlow.fill(PATH_UNREACHED);
+    if (source < 0) return playerFlow;
+
+    playerFlow[source] = 0;
+    const open = { tiles: [], prios: [] };
+    heapPush(open, source, 0);
+    while (open.tiles.length > 0) {
+        const dist = open.prios[0];
+        const cur = heapPop(open);
+        if (dist > playerFlow[cur]) continue;
+        const cx = cur % MAP_SIZE, cz = Math.floor(cur / MAP_SIZE);
+        // Walking from a neighbour onto this tile costs this tile's step
+        const reach = dist + pathStepCost(cx, cz);
+        for (const [ddx, ddz] of PATH_DIRS) {
+            const nx = cx + ddx, nz = cz + ddz;
+            if (isTileBlocked(nx, nz)) continue;
+            const next = nz * MAP_SIZE + nx;
+            if (reach < playerFlow[next]) {
+                playerFlow[next] = reach;
+                heapPush(open, next, reach);
+            }
+        }
+    }
+    return playerFlow;
+}
+
+// The neighbouring tile that takes an enemy one step closer to the player, or null when
+// none does. Tiles another enemy stands on are only picked when every way forward is
+// taken, so crowds spread over parallel routes before they queue.
+function nextFlowTile(e) {
+    const flow = getPlayerFlow();
+    const gx = Math.floor(e.x / CELL), gz = Math.floor(e.z / CELL);
+    const inMap = (x, z) => x >= 0 && x < MAP_SIZE && z >= 0 && z < MAP_SIZE;
+    const here = inMap(gx, gz) ? flow[gz * MAP_SIZE + gx] : PATH_UNREACHED;
+    let best = null, bestDist = here;
+    let queued = null, queuedDist = here;
+    for (const [ddx, ddz] of PATH_DIRS) {
+        const nx = gx + ddx, nz = gz + ddz;
+        if (!inMap(nx, nz)) continue;
+        const tile = nz * MAP_SIZE + nx;
+        const d = flow[tile];
+        if (gridEnemies[tile].some(o => o !== e)) {
+            if (d < queuedDist) { queuedDist = d; queued = { x: nx, z: nz }; }
+        } else if (d < bestDist) {
+            bestDist = d; best = { x: nx, z: nz };
+        }
+    }
+    return best || queued;
+}
+
+// ─── Sound Areas ────────────────────────────────
+// Floor tiles carry the map's area number. A door joins the two areas it separates
+// from the moment it starts opening until it is fully closed again. Gunfire alerts
+// every enemy in an area connected to the source — distance doesn't matter.
+
+let levelAreas = null;   // 64x64 area index per tile (-1 = wall/door)
+let areaCount = 0;
+let areaConnect = null;  // areaCount × areaCount count of open doors between area pairs
+
+// Fallback for level data decoded without area codes: each door-separated region is an
+// area. Still needed while src/levels.js predates the decoder's `areas` output.
+function deriveAreas(walls) {
+    const areas = new Array(MAP_SIZE * MAP_SIZE).fill(-1);
+    let next = 0;
+    for (let i = 0; i < areas.length; i++) {
+        if (walls[i] !== 0 || areas[i] >= 0) continue;
+        const stack = [i];
+        areas[i] = next;
+        while (stack.length > 0) {
+            const cur = stack.pop();
+            const x = cur % MAP_SIZE, z = Math.floor(cur / MAP_SIZE);
+            for (const [dx, dz] of [[1,0],[-1,0],[0,1],[0,-1]]) {
+                const nx = x + dx, nz = z + dz;
+                if (nx < 0 || nx >= MAP_SIZE || nz < 0 || nz >= MAP_SIZE) continue;
+                const n = nz * MAP_SIZE + nx;
+                if (walls[n] !== 0 || areas[n] >= 0) continue;
+                areas[n] = next;
+                stack.push(n);
+            }
+        }
+        next++;
+    }
+    return areas;
+}
+
+function initAreas(lvl) {
+    levelAreas = lvl.areas ? lvl.areas.slice() : deriveAreas(levelWalls);
+    areaCount = 0;
+    for (const a of levelAreas) areaCount = Math.max(areaCount, a + 1);
+    areaConnect = new Uint8Array(areaCount * areaCount);
+    for (const d of levelDoors) {
+        const { gridX: x, gridY: y, vertical } = d;
+        // Vertical doors separate their west/east neighbours, horizontal ones north/south
+        d.areaA = vertical ? getAreaAt(x - 1, y) : getAreaAt(x, y - 1);
+        d.areaB = vertical ? getAreaAt(x + 1, y) : getAreaAt(x, y + 1);
+        d.areasConnected = false;
+    }
+}
+
+function getAreaAt(gx, gz) {
+    if (!levelAreas || gx < 0 || gx >= MAP_SIZE || gz < 0 || gz >= MAP_SIZE) return -1;
+    return levelAreas[gz * MAP_SIZE + gx];
+}
+
+// Areas a tile belongs to — door tiles sit between the two areas they join
+function getTileAreas(gx, gz) {
+    const a = getAreaAt(gx, gz);
+    if (a >= 0) return [a];
+    const door = getDoorAt(gx, gz);
+    if (!door) return [];
+    return [door.areaA, door.areaB].filter(v => v >= 0);
+}
+
+function setDoorAreasConnected(door, connected) {
+    if (door.areasConnected === connected) return;
+    door.areasConnected = connected;
+    if (door.areaA < 0 || door.areaB < 0 || door.areaA === door.areaB) return;
+    const delta = connected ? 1 : -1;
+    areaConnect[door.areaA * areaCount + door.areaB] += delta;
+    areaConnect[door.areaB * areaCount + door.areaA] += delta;
+}
+
+// Flood the area graph through open doors (original ConnectAreas)
+function getConnectedAreas(seeds) {
+    const reached = new Uint8Array(areaCount);
+    const stack = [];
+    for (const a of seeds) {
+        if (a >= 0 && a < areaCount && !reached[a]) { reached[a] = 1; stack.push(a); }
+    }
+    while (stack.length > 0) {
+        const a = stack.pop();
+        for (let b = 0; b < areaCount; b++) {
+            if (!reached[b] && areaConnect[a * areaCount + b] > 0) { reached[b] = 1; stack.push(b); }
+        }
+    }
+    return reached;
+}
+
+// ─── Sound Alert Propagation (connected areas) ──
+
+function alertEnemiesBySound(sourceX, sourceZ) {
+    const heard = getConnectedAreas(getTileAreas(Math.floor(sourceX / CELL), Math.floor(sourceZ / CELL)));
+
+    // Alert all enemies standing in a connected area
+    for (const e of levelEnemies) {
+        if (!e.alive) continue;
+        const egx = Math.floor(e.x / CELL);
+        const egz = Math.floor(e.z / CELL);
+        if (getTileAreas(egx, egz).some(a => heard[a])) {
+            // Ambush enemies can't hear — they wait until they see the player (or get shot)
+            if (e.deaf && !e.alerted) continue;
+            if (e.aiState === AI.GHOST) continue;
+            // Bug G fix: Don't downgrade enemies already chasing/attacking/dodging
+            const ai = e.aiState;
+            if (ai === AI.CHASE || ai === AI.ATTACK || ai === AI.DODGE || ai === AI.PAIN) continue;
+            e.alerted = true;
+            e.aiState = AI.INVESTIGATE;
+            e.investigateX = sourceX;
+            e.investigateZ = sourceZ;
+            e.investigateTimer = 4 + random() * 3;
+            emitGameEvent(GAME_EVENT.ENEMY_ALERTED, { enemy: e, typeDef: e.typeDef });
+        }
+    }
+}
+
+// Enemy tries to open a door in its path
+// Enemies can't open locked/elevator doors, and dogs can't open any
+function enemyCanOpenDoor(e, door) {
+    if (door.doorType === 'gold' || door.doorType === 'silver' || door.doorType === 'elevator') return false;
+    return !!e.typeDef.canOpenDoors;
+}
+
+function enemyTryOpenDoor(e, gx, gz) {
+    const door = getDoorAt(gx, gz);
+    if (!door || door.open) return false;
+    if (door.opening && !door.closing) return false;
+    if (!enemyCanOpenDoor(e, door)) return false;
+
+    if (door.closing) door.closing = false;
+    door.opening = true;
+    emitGameEvent(GAME_EVENT.DOOR_OPENED, { door, gridX: gx, gridY: gz, doorType: door.doorType, opener: e });
+    // Enemy waits for door to open
+    e.aiState = AI.DOOR_WAIT;
+    e.doorWaitTimer = 1.0;
+    e.doorWaitX = gx;
+    e.doorWaitZ = gz;
+    return true;
+}
+
+// ─── Door System ────────────────────────────────
+
+function tryOpenDoor() {
+    const checkX = player.x - Math.sin(player.yaw) * 2;
+    const checkZ = player.z - Math.cos(player.yaw) * 2;
+
+    for (const door of levelDoors) {
+        // Use grid-based position for distance check (stable, doesn't move with animation)
+        const doorBaseX = door.gridX * CELL + CELL / 2;
+        const doorBaseZ = door.gridY * CELL + CELL / 2;
+        const dx = checkX - doorBaseX;
+        const dz = checkZ - doorBaseZ;
+        if (Math.abs(dx) < CELL && Math.abs(dz) < CELL) {
+            // Skip already fully open or already opening doors
+            if (door.open || (door.opening && !door.closing)) continue;
+
+            const dt = door.doorType;
+
+            // Check key requirements
+            if ((dt === 'gold' && !state.keys.gold) || (dt === 'silver' && !state.keys.silver)) {
+                emitGameEvent(GAME_EVENT.DOOR_LOCKED, { door, gridX: door.gridX, gridY: door.gridY, doorType: dt });
+                return;
+            }
+
+            // If closing, reverse to opening
+            if (door.closing) {
+                door.closing = false;
+            }
+            door.opening = true;
+            emitGameEvent(GAME_EVENT.DOOR_OPENED, { door, gridX: door.gridX, gridY: door.gridY, doorType: dt, opener: null });
+        }
+    }
+}
+
+function updateDoors(dt) {
+    for (const d of levelDoors) {
+        // Opening animation
+        if (d.opening && d.openAmount < 1) {
+            d.openAmount = Math.min(1, d.openAmount + dt * 1.5);
+            if (d.openAmount >= 1) {
+                d.open = true;
+                d.opening = false;
+                d.closeTimer = 0;
+                invalidatePaths();
+            }
+        }
+
+        // Closing animation (smooth slide back)
+        if (d.closing && d.openAmount > 0) {
+            d.openAmount = Math.max(0, d.openAmount - dt * 1.5);
+            if (d.openAmount <= 0) {
+                d.closing = false;
+                d.openAmount = 0;
+            }
+        }
+
+        // Sound travels between areas while the door is not fully closed
+        setDoorAreasConnected(d, d.opening || d.openAmount > 0);
+
+        // Auto-close after timeout
+        if (d.open && !d.closing) {
+            d.closeTimer += dt;
+            if (d.closeTimer > 5) {
+                // Check if player or enemy is in doorway
+                const pgx = Math.floor(player.x / CELL);
+                const pgz = Math.floor(player.z / CELL);
+                const inDoorway = (pgx === d.gridX && pgz === d.gridY);
+                if (!inDoorway) {
+                    d.open = false;
+                    d.closing = true;
+                    d.closeTimer = 0;
+                    invalidatePaths();
+                    emitGameEvent(GAME_EVENT.DOOR_CLOSING, { door: d, gridX: d.gridX, gridY: d.gridY });
+                }
+            }
+        }
+    }
+}
+
+// ─── Pushwalls (Secret Walls) ───────────────────
+
+function tryPushWall() {
+    // Push along the dominant axis of the view direction, away from the player
+    const fwdX = -Math.sin(player.yaw), fwdZ = -Math.cos(player.yaw);
+    const dirX = Math.abs(fwdX) >= Math.abs(fwdZ) ? Math.sign(fwdX) : 0;
+    const dirZ = dirX === 0 ? Math.sign(fwdZ) : 0;
+    const tx = Math.floor(player.x / CELL) + dirX;
+    const tz = Math.floor(player.z / CELL) + dirZ;
+
+    const pw = levelPushwalls.find(p => p.gridX === tx && p.gridY === tz);
+    if (!pw || pw.pushing || pw.pushed) return false;
+
+    // The tile behind the wall must be free for it to start moving
+    if (!isPushwallDestFree(tx + dirX, tz + dirZ)) {
+        return true;
+    }
+
+    pw.pushing = true;
+    pw.dirX = dirX;
+    pw.dirZ = dirZ;
+    setTile(tx + dirX, tz + dirZ, pw.wallValue);
+    joinPushwallArea(pw);
+
+    levelStats.secrets++;
+    emitGameEvent(GAME_EVENT.SECRET_FOUND, { pushwall: pw, gridX: tx, gridY: tz });
+    return true;
+}
+
+function isPushwallDestFree(gx, gz) {
+    if (gx < 0 || gx >= MAP_SIZE || gz < 0 || gz >= MAP_SIZE) return false;
+    const tile = gz * MAP_SIZE + gx;
+    if (levelWalls[tile] !== 0) return false;
+    if (tileIndexAt(player.x, player.z) === tile) return false;
+    if (gridStatics[tile] && gridStatics[tile].blocking) return false;
+    return gridEnemies[tile].length === 0;
+}
+
+function updatePushwalls(dt) {
+    for (const pw of levelPushwalls) {
+        if (!pw.pushing) continue;
+
+        pw.pushAmount = Math.min(PUSHWALL_TILES, pw.pushAmount + dt * PUSHWALL_SPEED / CELL);
+        const originX = pw.gridX - pw.dirX * pw.tilesMoved;
+        const originZ = pw.gridY - pw.dirZ * pw.tilesMoved;
+        pw.x = (originX + pw.dirX * pw.pushAmount) * CELL + CELL / 2;
+        pw.z = (originZ + pw.dirZ * pw.pushAmount) * CELL + CELL / 2;
+
+        if (Math.floor(pw.pushAmount) <= pw.tilesMoved) continue;
+
+        // Wall has fully entered the next tile — free the one it left
+        setTile(pw.gridX, pw.gridY, 0);
+        pw.gridX += pw.dirX;
+        pw.gridY += pw.dirZ;
+        pw.tilesMoved++;
+
+        const nextX = pw.gridX + pw.dirX, nextZ = pw.gridY + pw.dirZ;
+        if (pw.tilesMoved >= PUSHWALL_TILES || !isPushwallDestFree(nextX, nextZ)) {
+            pw.pushing = false;
+            pw.pushed = true;
+            pw.pushAmount = pw.tilesMoved;
+            pw.x = pw.gridX * CELL + CELL / 2;
+            pw.z = pw.gridY * CELL + CELL / 2;
+        } else {
+            setTile(nextX, nextZ, pw.wallValue);
+            joinPushwallArea(pw);
+        }
+    }
+}
+
+// The tile a wall starts sliding out of joins the sound area of the tile behind it
+function joinPushwallArea(pw) {
+    if (levelAreas) levelAreas[pw.gridY * MAP_SIZE + pw.gridX] = getAreaAt(pw.gridX - pw.dirX, pw.gridY - pw.dirZ);
+}
+
+// Use key: secret walls take priority over doors
+function tryUse() {
+    if (tryPushWall()) return;
+    if (tryElevatorSwitch()) return;
+    tryOpenDoor();
+}
+
+// ─── Shooting ───────────────────────────────────
+// Number keys 1-4 select in this order; also the hudweapons.png icon order
+export const WEAPON_ORDER = ['knife', 'pistol', 'machinegun', 'chaingun'];
+const KNIFE_RANGE = CELL * 1.5;
+
+function selectWeapon(weapon) {
+    if (!state.weapons[weapon]) return;
+    if (weapon !== 'knife' && state.ammo <= 0) return;
+    state.weapon = weapon;
+    state.chosenWeapon = weapon;
+}
+
+// Original GiveWeapon: switch only when the new gun beats everything owned
+function giveWeapon(weapon) {
+    const best = WEAPON_ORDER.filter(w => state.weapons[w]).pop();
+    state.weapons[weapon] = true;
+    if (WEAPON_ORDER.indexOf(weapon) > WEAPON_ORDER.indexOf(best)) {
+        state.weapon = weapon;
+        state.chosenWeapon = weapon;
+    }
+}
+
+// Original GiveAmmo: picking up ammo while out switches back from the knife
+function giveAmmo(amount) {
+    const wasEmpty = state.ammo <= 0;
+    state.ammo = Math.min(MAX_AMMO, state.ammo + amount);
+    if (wasEmpty && state.weapon === 'knife') state.weapon = state.chosenWeapon;
+}
+
+function getWeaponFireRate() {
+    switch (state.weapon) {
+        case 'chaingun': return 0.12;
+        case 'machinegun': return 0.2;
+        default: return 0.4;
+    }
+}
+
+function shoot() {
+    if (state.shootCooldown > 0 || player.dead) return;
+    const melee = state.weapon === 'knife';
+    if (!melee && state.ammo <= 0) { state.weapon = 'knife'; return; }
+    if (!melee) state.ammo--;
+    state.shootCooldown = getWeaponFireRate();
+    emitGameEvent(GAME_EVENT.WEAPON_FIRED, { weapon: state.weapon });
+
+    // Hit check along the view direction, from the (bobbing) eye
+    const eyeY = player.y + player.bob * HEAD_BOB;
+    const cosPitch = Math.cos(player.pitch);
+    const aimX = -Math.sin(player.yaw) * cosPitch, aimY = Math.sin(player.pitch), aimZ = -Math.cos(player.yaw) * cosPitch;
+    let closestHit = null, closestDist = Infinity;
+
+    const maxRange = melee ? KNIFE_RANGE : 25;
+    for (const e of levelEnemies) {
+        if (!e.alive) continue;
+        const dx = e.x - player.x, dy = e.typeDef.scale[1] / 2 - eyeY, dz = e.z - player.z;
+        const d = Math.hypot(dx, dy, dz);
+        if (d > maxRange || d >= closestDist) continue;
+        const dotThreshold = Math.max(0.92, 0.98 - (1 / (d + 1)) * 0.1);
+        if ((dx * aimX + dy * aimY + dz * aimZ) / d > dotThreshold && hasLineOfSight(player.x, player.z, e.x, e.z)) {
+            closestDist = d;
+            closestHit = e;
+        }
+    }
+
+    if (closestHit) {
+        const e = closestHit;
+        let damage;
+        switch (state.weapon) {
+            case 'chaingun': damage = 15 + Math.floor(random() * 15); break;
+            case 'machinegun': damage = 10 + Math.floor(random() * 12); break;
+            case 'knife': damage = Math.floor(random() * 256) >> 4; break; // original KnifeAttack
+            default: damage = 15 + Math.floor(random() * 10); break;
+        }
+        damageEnemy(e, damage);
+        if (!melee) alertEnemiesBySound(e.x, e.z);
+    }
+    // The knife is silent; guns wake every connected area
+    if (!melee) alertEnemiesBySound(player.x, player.z);
+
+    // Out of ammo — fall back to the knife (original behavior)
+    if (!melee && state.ammo <= 0) state.weapon = 'knife';
+}
+
+// Shared by hitscan weapons and player projectiles
+function damageEnemy(e, damage) {
+    const td = e.typeDef;
+    if (td.invulnerable) return;
+    e.health -= damage;
+    if (e.health <= 0) {
+        killEnemy(e);
+        return;
+    }
+    emitGameEvent(GAME_EVENT.ENEMY_DAMAGED, { enemy: e, damage });
+
+    // Bosses ignore pain — keep attacking
+    if (td.noPain) {
+        if (!e.alerted) {
+            e.alerted = true;
+            e.aiState = AI.CHASE;
+            e.lastSeenX = player.x;
+            e.lastSeenZ = player.z;
+        }
+    } else {
+        // Normal enemies enter pain state
+        e.aiState = AI.PAIN;
+        e.painTimer = 0.3 + random() * 0.2;
+        if (!e.alerted) {
+            e.alerted = true;
+        }
+    }
+}
+
+function killEnemy(e) {
+    const td = e.typeDef;
+    e.alive = false;
+    fileEnemy(e);
+    e.aiState = AI.DYING;
+    e.deathTime = 0;
+    e.attackPhase = 'none';
+    e.attackTimer = 0;
+    e.attackDidFire = false;
+    emitGameEvent(GAME_EVENT.ENEMY_KILLED, { enemy: e, type: e.enemyType, typeDef: td, score: td.score });
+
+    // Original Wolf3D drops: a clip from soldiers, the gold key from Hans and Gretel
+    if (td.drop != null) {
+        spawnPickup(e.x, e.z, td.drop);
+    }
+
+    // Destroyed Mecha suit — Hitler climbs out and keeps fighting
+    if (td.nextPhase) {
+        const next = spawnEnemy({ x: Math.floor(e.x / CELL), y: Math.floor(e.z / CELL), type: td.nextPhase });
+        next.x = e.x;
+        next.z = e.z;
+        next.alerted = true;
+        next.aiState = AI.CHASE;
+        next.lastSeenX = player.x;
+        next.lastSeenZ = player.z;
+        levelStats.killsTotal++;
+    }
+
+    // Boss floors without an exit tile end once every boss is down — checked after the
+    // next phase has spawned, so Hitler still has to climb out of the Mecha suit
+    if (td.isBoss && !td.decoy && state.level === BOSS_MAP &&
+        !levelStatics.some(s => s.isExit) &&
+        !levelEnemies.some(o => o.alive && o.typeDef.isBoss && !o.typeDef.decoy)) {
+        exitFloor(false, BOSS_EXIT_DELAY);
+    }
+}
+
+// ─── Projectiles ────────────────────────────────
+// Thrown/fired attacks that travel (original T_Projectile); main.js draws them.
+//   speed: world units per second
+//   dmg: [min, max] damage on a direct hit
+//   splash: blast radius in world units (0 = direct hit only), damage falls off to the edge
+//   radius: hit distance against the player / enemies
+export const PROJECTILE_TYPES = {
+    syringe:  { speed: 9,  dmg: [20, 51], splash: 0,          radius: 0.7 },
+    fireball: { speed: 8,  dmg: [0, 31],  splash: 0,          radius: 0.7 },
+    rocket:   { speed: 11, dmg: [30, 61], splash: CELL * 1.5, radius: 0.8 },
+};
+const PROJECTILE_MAX_LIFE = 6; // seconds before a stray projectile is discarded
+
+// Launch a projectile from (wx, wz) heading along angle (sin → x, cos → z).
+// fromPlayer projectiles hit enemies; everything else hits the player.
+export function spawnProjectile(type, wx, wz, angle, fromPlayer = false, wy = EYE_H * 0.8) {
+    const def = PROJECTILE_TYPES[type];
+    if (!def) return null;
+    const p = {
+        projType: type, def, fromPlayer,
+        x: wx, y: wy, z: wz,
+        dirX: Math.sin(angle), dirZ: Math.cos(angle), life: PROJECTILE_MAX_LIFE,
+    };
+    levelProjectiles.push(p);
+    return p;
+}
+
+// Walls and doors that are not yet open enough to walk through stop projectiles
+function projectileBlocked(wx, wz) {
+    const gx = Math.floor(wx / CELL), gz = Math.floor(wz / CELL);
+    if (gx < 0 || gx >= MAP_SIZE || gz < 0 || gz >= MAP_SIZE) return true;
+    const w = levelWalls[gz * MAP_SIZE + gx];
+    if (w > 0) return true;
+    if (w === -1) {
+        const door = getDoorAt(gx, gz);
+        return !door || door.openAmount < DOOR_PASSABLE_OPEN;
+    }
+    return false;
+}
+
+function rollProjectileDamage(def) {
+    return def.dmg[0] + Math.floor(random() * (def.dmg[1] - def.dmg[0] + 1));
+}
+
+// directHit is the enemy or the player object struck, null when a wall stopped it
+function explodeProjectile(p, directHit) {
+    const { def, fromPlayer } = p;
+    emitGameEvent(GAME_EVENT.PROJECTILE_EXPLODED, { projectile: p, x: p.x, y: p.y, z: p.z });
+
+    if (directHit && !def.splash) {
+        if (directHit === player) damagePlayer(rollProjectileDamage(def));
+        else damageEnemy(directHit, rollProjectileDamage(def));
+    } else if (def.splash) {
+        const targets = fromPlayer ? gatherNear(gridEnemies, p.x, p.z, Math.ceil(def.splash / CELL)) : [player];
+        for (const t of targets) {
+            const d = Math.hypot(t.x - p.x, t.z - p.z);
+            if (d > def.splash) continue;
+            if (!hasLineOfSight(p.x - p.dirX * 0.1, p.z - p.dirZ * 0.1, t.x, t.z)) continue;
+            const dmg = Math.max(1, Math.round(rollProjectileDamage(def) * (1 - d / def.splash)));
+            if (t === player) damagePlayer(dmg);
+            else damageEnemy(t, dmg);
+        }
+    }
+    removeProjectile(p);
+}
+
+function removeProjectile(p) {
+    const idx = levelProjectiles.indexOf(p);
+    if (idx >= 0) levelProjectiles.splice(idx, 1);
+}
+
+function updateProjectiles(dt) {
+    for (let i = levelProjectiles.length - 1; i >= 0; i--) {
+        const p = levelProjectiles[i];
+        p.life -= dt;
+        if (p.life <= 0) { removeProjectile(p); continue; }
+
+        // Sub-step so fast projectiles can't tunnel through a wall corner or the player
+        const dist = p.def.speed * dt;
+        const steps = Math.max(1, Math.ceil(dist / 0.25));
+        const step = dist / steps;
+        for (let s = 0; s < steps; s++) {
+            const nx = p.x + p.dirX * step;
+            const nz = p.z + p.dirZ * step;
+            if (projectileBlocked(nx, nz)) { explodeProjectile(p, null); break; }
+            p.x = nx;
+            p.z = nz;
+
+            let hit = null;
+            if (p.fromPlayer) {
+                hit = gatherNear(gridEnemies, nx, nz).find(e => Math.hypot(e.x - nx, e.z - nz) < p.def.radius);
+            } else if (!player.dead && Math.hypot(player.x - nx, player.z - nz) < p.def.radius) {
+                hit = player;
+            }
+            if (hit) { explodeProjectile(p, hit); break; }
+        }
+    }
+}
+
+// ─── Actor Bodies ───────────────────────────────
+// Living enemies and the player are circles that no other actor walks into. A move that
+// starts out overlapping is still allowed if it widens the gap, so stacked actors separate.
+
+const ENEMY_RADIUS = 0.35;
+const PLAYER_RADIUS = 0.3;
+
+function bodiesCollide(fromX, fromZ, toX, toZ, ox, oz, reach) {
+    const toDist = (toX - ox) ** 2 + (toZ - oz) ** 2;
+    if (toDist >= reach * reach) return false;
+    return toDist < (fromX - ox) ** 2 + (fromZ - oz) ** 2;
+}
+
+// The enemy or player that `self` would walk into moving to (wx, wz), or null
+function bodyBlocking(self, wx, wz, radius) {
+    for (const other of gatherNear(gridEnemies, wx, wz)) {
+        if (other === self) continue;
+        if (bodiesCollide(self.x, self.z, wx, wz, other.x, other.z, radius + ENEMY_RADIUS)) return other;
+    }
+    if (self !== player && bodiesCollide(self.x, self.z, wx, wz, player.x, player.z, radius + PLAYER_RADIUS)) return player;
+    return null;
+}
+
+// Map collision plus the other bodies, for enemy movement
+function isEnemyBlocked(e, wx, wz) {
+    return isBlocked(wx, wz) || !!bodyBlocking(e, wx, wz, ENEMY_RADIUS);
+}
+
+// ─── Enemy AI ───────────────────────────────────
+
+// Move enemy toward world position; the player's tile is reached through the shared
+// distance field, anywhere else through A*
+function moveEnemyToward(e, targetX, targetZ, dt) {
+    const td = e.typeDef;
+    const speed = td.speed * dt;
+
+    // Direct movement first — if clear line
+    const ddx = targetX - e.x, ddz = targetZ - e.z;
+    const dDist = Math.sqrt(ddx * ddx + ddz * ddz);
+
+    if (dDist < 0.5) return true; // arrived
+
+    const dirX = ddx / dDist, dirZ = ddz / dDist;
+    const nx = e.x + dirX * speed;
+    const nz = e.z + dirZ * speed;
+
+    // Chasers only head straight for the player when nothing is in between; otherwise
+    // sliding along walls walks them into corners
+    const chasing = tileIndexAt(targetX, targetZ) === tileIndexAt(player.x, player.z);
+    if (!chasing || hasLineOfSight(e.x, e.z, targetX, targetZ)) {
+        // Try direct movement; bumping into the player is as close as anyone gets
+        const blocker = bodyBlocking(e, nx, nz, ENEMY_RADIUS);
+        if (blocker === player) return true;
+        if (!blocker && !isBlocked(nx, nz)) {
+            e.x = nx; e.z = nz;
+            return false;
+        }
+
+        // Direct blocked — check if blocked by a door and try to open it
+        const nextGX = Math.floor(nx / CELL), nextGZ = Math.floor(nz / CELL);
+        const doorAhead = getDoorAt(nextGX, nextGZ);
+        if (doorAhead && !doorAhead.open && !doorAhead.opening) {
+            if (enemyTryOpenDoor(e, nextGX, nextGZ)) return false;
+        }
+
+        // Try axis-sliding
+        if (!isEnemyBlocked(e, nx, e.z)) { e.x = nx; return false; }
+        if (!isEnemyBlocked(e, e.x, nz)) { e.z = nz; return false; }
+    }
+
+    // Route around — downhill on the player's distance field, or A* to other targets
+    let nextCell;
+    if (chasing) {
+        nextCell = nextFlowTile(e);
+    } else {
+        const path = findPath(e.x, e.z, targetX, targetZ);
+        nextCell = path ? path[0] : null;
+    }
+    if (nextCell) {
+        const cellWX = nextCell.x * CELL + CELL / 2;
+        const cellWZ = nextCell.z * CELL + CELL / 2;
+
+        // Check if next cell has a closed door
+        const doorInPath = getDoorAt(nextCell.x, nextCell.z);
+        if (doorInPath && !doorInPath.open && !doorInPath.opening) {
+            if (enemyTryOpenDoor(e, nextCell.x, nextCell.z)) return false;
+        }
+
+        const pdx = cellWX - e.x, pdz = cellWZ - e.z;
+        const pDist = Math.sqrt(pdx * pdx + pdz * pdz);
+        if (pDist > 0.1) {
+            const pmx = e.x + (pdx / pDist) * speed;
+            const pmz = e.z + (pdz / pDist) * speed;
+            if (!isEnemyBlocked(e, pmx, pmz)) { e.x = pmx; e.z = pmz; }
+            else if (!isEnemyBlocked(e, pmx, e.z)) { e.x = pmx; }
+            else if (!isEnemyBlocked(e, e.x, pmz)) { e.z = pmz; }
+        }
+    } else {
+        // Bug F fix: Fallback when no route exists — try random perpendicular movement
+        const perpAngle = Math.atan2(dirX, dirZ) + (random() < 0.5 ? Math.PI / 2 : -Math.PI / 2);
+        const fx = e.x + Math.sin(perpAngle) * speed;
+        const fz = e.z + Math.cos(perpAngle) * speed;
+        if (!isEnemyBlocked(e, fx, fz)) { e.x = fx; e.z = fz; }
+    }
+    return false;
+}
+
+const PATROL_BLOCKED_TURN = 1.5; // seconds a patroller waits on a body before turning back
+
+// Walk tile-by-tile in patrolDir, turning on map arrows (original T_Path / SelectPathDir)
+function followPatrolRoute(e, step, dt) {
+    if (!e.patrolTarget) {
+        // (Re)join the route from the centre of the current tile
+        e.patrolTarget = { x: Math.floor(e.x / CELL), z: Math.floor(e.z / CELL) };
+    }
+
+    const tx = e.patrolTarget.x * CELL + CELL / 2;
+    const tz = e.patrolTarget.z * CELL + CELL / 2;
+    const dx = tx - e.x, dz = tz - e.z;
+    const d = Math.sqrt(dx * dx + dz * dz);
+    if (d > step) {
+        const nx = e.x + (dx / d) * step, nz = e.z + (dz / d) * step;
+        // Queue behind whoever is in the way, and head back the way we came if
+        // they don't clear — two patrollers meeting head-on would wait forever
+        if (bodyBlocking(e, nx, nz, ENEMY_RADIUS)) {
+            e.patrolBlockedTimer += dt;
+            if (e.patrolBlockedTimer >= PATROL_BLOCKED_TURN) reversePatrol(e);
+            return;
+        }
+        e.patrolBlockedTimer = 0;
+        e.x = nx; e.z = nz;
+        return;
+    }
+    e.x = tx; e.z = tz;
+
+    // Tile reached — turn if standing on an arrow, then pick the next tile
+    const { x: px, z: pz } = e.patrolTarget;
+    const turn = levelTurnPoints ? levelTurnPoints[pz * MAP_SIZE + px] : -1;
+    if (turn >= 0) e.patrolDir = turn;
+    const dir = e.patrolDir in DIR8 ? e.patrolDir : 0;
+
+    // Off the arrows, a patroller that meets a wall turns one way, then the other,
+    // then back the way it came, so it traces rooms and corridors in a loop
+    // instead of freezing against the first wall.
+    const tries = turn >= 0 ? [0] : [0, 6, 2, 4];
+    for (const t of tries) {
+        const d8 = (dir + t) % 8;
+        const [vx, vz] = DIR8[d8];
+        const nx = px + vx, nz = pz + vz;
+        const door = getDoorAt(nx, nz);
+        // A door this patroller can never get through is just another wall
+        if (door && !door.open && !door.opening && !enemyCanOpenDoor(e, door) && tries.length > 1) continue;
+        if (door && !door.open) {
+            // Hold at the tile centre until the door is fully open
+            e.patrolDir = d8;
+            e.patrolAngle = dir8Angle(d8);
+            if (!door.opening || door.closing) enemyTryOpenDoor(e, nx, nz);
+            return;
+        }
+        if (!patrolStepOpen(px, pz, vx, vz)) continue;
+        e.patrolDir = d8;
+        e.patrolAngle = dir8Angle(d8);
+        e.patrolTarget = { x: nx, z: nz };
+        return;
+    }
+    e.patrolAngle = dir8Angle(dir);
+}
+
+function reversePatrol(e) {
+    const [vx, vz] = DIR8[e.patrolDir] || DIR8[0];
+    const { x, z } = e.patrolTarget;
+    e.patrolBlockedTimer = 0;
+    if (!patrolStepOpen(x, z, -vx, -vz)) return;
+    e.patrolDir = ((e.patrolDir in DIR8 ? e.patrolDir : 0) + 4) % 8;
+    e.patrolAngle = dir8Angle(e.patrolDir);
+    e.patrolTarget = { x: x - vx, z: z - vz };
+}
+
+function patrolStepOpen(px, pz, vx, vz) {
+    const center = (gx, gz) => [gx * CELL + CELL / 2, gz * CELL + CELL / 2];
+    if (isBlocked(...center(px + vx, pz + vz))) return false;
+    // No corner cutting on diagonal arrows
+    return !(vx && vz && (isBlocked(...center(px + vx, pz)) || isBlocked(...center(px, pz + vz))));
+}
+
+function updateEnemies(dt) {
+    for (const e of levelEnemies) {
+        if (e.aiState === AI.DEAD) continue;
+
+        if (e.aiState === AI.DYING) {
+            e.deathTime += dt;
+            if (e.deathTime >= ENEMY_DEATH_TIME) e.aiState = AI.DEAD;
+            continue;
+        }
+
+        if (!e.alive) continue;
+
+        const td = e.typeDef;
+        const dx = player.x - e.x;
+        const dz = player.z - e.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+
+        // Track position before update — walk animation only advances when actually moving
+        const prevX = e.x, prevZ = e.z;
+
+        // ── Check for player visibility (shared across states) ──
+        const canSee = dist < td.alertDist && hasLineOfSight(e.x, e.z, player.x, player.z);
+
+        switch (e.aiState) {
+
+            // ════════ STAND — idle, looking for player ════════
+            case AI.STAND: {
+                if (canSee && dist < td.alertDist) {
+                    e.alerted = true;
+                    // Mutants skip alert pause — fire instantly
+                    if (td.silent) {
+                        e.aiState = AI.CHASE;
+                        e.lastSeenX = player.x;
+                        e.lastSeenZ = player.z;
+                    } else {
+                        e.aiState = AI.ALERT;
+                        e.alertTimer = 0.10 + random() * 0.15;
+                    }
+                    emitGameEvent(GAME_EVENT.ENEMY_ALERTED, { enemy: e, typeDef: td });
+                }
+                break;
+            }
+
+            // ════════ PATROL — following the map's turn arrows ════════
+            case AI.PATROL: {
+                followPatrolRoute(e, td.speed * 0.4 * dt, dt);
+                if (canSee && dist < td.alertDist) {
+                    e.alerted = true;
+                    if (td.silent) {
+                        e.aiState = AI.CHASE;
+                        e.lastSeenX = player.x;
+                        e.lastSeenZ = player.z;
+                    } else {
+                        e.aiState = AI.ALERT;
+                        e.alertTimer = 0.08 + random() * 0.12;
+                    }
+                    emitGameEvent(GAME_EVENT.ENEMY_ALERTED, { enemy: e, typeDef: td });
+                }
+                break;
+            }
+
+            // ════════ ALERT — just spotted player, brief pause ════════
+            case AI.ALERT: {
+                e.alertTimer -= dt;
+                if (e.alertTimer <= 0) {
+                    e.aiState = AI.CHASE;
+                    e.lastSeenX = player.x;
+                    e.lastSeenZ = player.z;
+                }
+                break;
+            }
+
+            // ════════ INVESTIGATE — heard a sound, moving to source ════════
+            case AI.INVESTIGATE: {
+                const ix = e.investigateX || 0;
+                const iz = e.investigateZ || 0;
+                const iDist = Math.sqrt((ix - e.x) ** 2 + (iz - e.z) ** 2);
+
+                // If player seen during investigation, switch to chase
+                if (canSee) {
+                    e.aiState = AI.CHASE;
+                    e.lastSeenX = player.x;
+                    e.lastSeenZ = player.z;
+                    emitGameEvent(GAME_EVENT.ENEMY_ALERTED, { enemy: e, typeDef: td });
+                    break;
+                }
+
+                // Move toward sound source
+                if (iDist > 2) {
+                    moveEnemyToward(e, ix, iz, dt * 1.08);
+                }
+
+                e.investigateTimer -= dt;
+                if (e.investigateTimer <= 0 || iDist < 2) {
+                    // Done investigating — go back to post or patrol route
+                    e.aiState = e.patrols ? AI.PATROL : AI.STAND;
+                    e.patrolTarget = null;
+                }
+                break;
+            }
+
+            // ════════ CHASE — pursuing the player ════════
+            case AI.CHASE: {
+                if (canSee) {
+                    e.lastSeenX = player.x;
+                    e.lastSeenZ = player.z;
+                    e.lostSightTimer = 0;
+                }
+
+                const tx = canSee ? player.x : e.lastSeenX;
+                const tz = canSee ? player.z : e.lastSeenZ;
+                const tDist = Math.sqrt((tx - e.x) ** 2 + (tz - e.z) ** 2);
+
+                // Attack decision — can we shoot?
+                if (canSee && dist < td.shootDist) {
+                    e.shootCooldown -= dt;
+                    if (e.shootCooldown <= 0) {
+                        startEnemyAttack(e);
+                        e.shootCooldown = td.cooldown[0] + random() * (td.cooldown[1] - td.cooldown[0]);
+                        break;
+                    }
+                }
+
+                // Movement — dogs rush straight, others keep minimum distance
+                const minDist = td.rushes ? 0.45 : (td.melee ? 0.9 : 2.1);
+                if (tDist > minDist) {
+                    moveEnemyToward(e, tx, tz, dt * (canSee ? 1.22 : 1.08));
+                }
+                // Officers/SS dodge sideways after shooting
+                else if (td.dodges && canSee && random() < 0.02) {
+                    e.aiState = AI.DODGE;
+                    e.dodgeTimer = 0.5 + random() * 0.5;
+                    e.dodgeDir = random() < 0.5 ? 1 : -1;
+                }
+
+                // Lost sight of player — investigate last known position
+                if (!canSee) {
+                    e.lostSightTimer = (e.lostSightTimer || 0) + dt;
+                    if (tDist < 2 || e.lostSightTimer > 8) {
+                        e.aiState = AI.INVESTIGATE;
+                        e.investigateX = e.lastSeenX;
+                        e.investigateZ = e.lastSeenZ;
+                        e.investigateTimer = 3;
+                    }
+                }
+                break;
+            }
+
+            // ════════ DODGE — strafe sideways (officers, SS) ════════
+            case AI.DODGE: {
+                const perpX = -dz / (dist || 1) * e.dodgeDir;
+                const perpZ = dx / (dist || 1) * e.dodgeDir;
+                const speed = td.speed * 0.8 * dt;
+                const nx = e.x + perpX * speed;
+                const nz = e.z + perpZ * speed;
+                if (!isEnemyBlocked(e, nx, nz)) { e.x = nx; e.z = nz; }
+                else { e.dodgeDir *= -1; } // reverse direction if hit wall or someone
+
+                e.dodgeTimer -= dt;
+                if (e.dodgeTimer <= 0) {
+                    e.aiState = AI.CHASE;
+                }
+                // Can still shoot while dodging
+                if (canSee && dist < td.shootDist) {
+                    e.shootCooldown -= dt;
+                    if (e.shootCooldown <= 0) {
+                        startEnemyAttack(e);
+                        e.shootCooldown = td.cooldown[0] + random() * (td.cooldown[1] - td.cooldown[0]);
+                        break;
+                    }
+                }
+                break;
+            }
+
+            // ════════ ATTACK — fire at player ════════
+            case AI.ATTACK: {
+                e.attackTimer -= dt;
+                if (e.attackPhase === 'aim' && e.attackTimer <= 0) {
+                    e.attackPhase = 'fire';
+                    e.attackTimer = 0.2; // fire-hold — long enough to see muzzle flash
+                    if (!e.attackDidFire) {
+                        enemyFireAtPlayer(e, dist);
+                        e.attackDidFire = true;
+                    }
+                } else if (e.attackPhase === 'fire' && e.attackTimer <= 0) {
+                    // Chaingun bosses loop back into the aim frame for each shot of the burst
+                    if (--e.attackShotsLeft > 0) {
+                        e.attackPhase = 'aim';
+                        e.attackTimer = 0.06;
+                        e.attackDidFire = false;
+                    } else {
+                        finishEnemyAttack(e);
+                    }
+                }
+                break;
+            }
+
+            // ════════ DOOR_WAIT — waiting for door to open ════════
+            case AI.DOOR_WAIT: {
+                e.doorWaitTimer -= dt;
+                const door = getDoorAt(e.doorWaitX, e.doorWaitZ);
+                if (!door || door.open || e.doorWaitTimer <= 0) {
+                    // Door is open or timeout — resume chase
+                    if (e.alerted) e.aiState = AI.CHASE;
+                    else e.aiState = e.patrols ? AI.PATROL : AI.STAND;
+                }
+                break;
+            }
+
+            // ════════ GHOST — homes in on the player forever, hurts on touch ════════
+            case AI.GHOST: {
+                moveEnemyToward(e, player.x, player.z, dt);
+                e.shootCooldown -= dt;
+                if (dist < td.shootDist && e.shootCooldown <= 0 && !player.dead) {
+                    damagePlayer(td.dmg[0] + Math.floor(random() * (td.dmg[1] - td.dmg[0] + 1)));
+                    e.shootCooldown = td.cooldown[0] + random() * (td.cooldown[1] - td.cooldown[0]);
+                }
+                break;
+            }
+
+            // ════════ PAIN — hit reaction (bosses skip this) ════════
+            case AI.PAIN: {
+                // Frozen in place during pain
+                e.painTimer -= dt;
+                if (e.painTimer <= 0) {
+                    e.aiState = AI.CHASE;
+                    e.lastSeenX = player.x;
+                    e.lastSeenZ = player.z;
+                }
+                break;
+            }
+        }
+
+        // Walk animation: only advance when enemy actually moved (Bug B fix)
+        const movedX = e.x - prevX;
+        const movedZ = e.z - prevZ;
+        const movedDist = Math.abs(movedX) + Math.abs(movedZ);
+        if (movedDist > 0.001) {
+            e.moveAngle = Math.atan2(movedX, movedZ);
+            e.moveTimer = 0.2;
+        } else {
+            e.moveTimer = Math.max(0, (e.moveTimer || 0) - dt);
+        }
+        if (movedDist > 0.001 && e.aiState !== AI.ATTACK && e.aiState !== AI.PAIN) {
+            e.walkTimer += dt;
+            if (e.walkTimer > 0.15) { e.walkTimer = 0; e.walkFrame++; }
+        } else {
+            // Not moving — reset walk timer but keep frame for idle-walk appearance
+            e.walkTimer = 0;
+        }
+        fileEnemy(e);
+    }
+}
+
+// ─── Pickup Collection ──────────────────────────
+
+function checkPickups() {
+    // Original Wolf3D: NO line-of-sight check for pickups — distance only.
+    // PICKUP_RADIUS is under a tile, so the surrounding tiles hold every candidate.
+    for (const p of gatherNear(gridPickups, player.x, player.z)) {
+        if (p.collected) continue;
+
+        // 2D distance only (pickups lie on the floor)
+        const pdx = player.x - p.x;
+        const pdz = player.z - p.z;
+        if (pdx * pdx + pdz * pdz >= PICKUP_RADIUS * PICKUP_RADIUS) continue;
+
+        const t = p.pickupType;
+        let picked = false;
+
+        switch (t) {
+            // ── Health pickups ──
+            case 'health':  // firstaid kit — +25 HP
+                if (state.health >= MAX_HEALTH) break;
+                state.health = Math.min(MAX_HEALTH, state.health + 25);
+                picked = true; break;
+            case 'food':    // dog food / plate — +4 HP (classic Wolf3D value)
+                if (state.health >= MAX_HEALTH) break;
+                state.health = Math.min(MAX_HEALTH, state.health + 4);
+                picked = true; break;
+
+            // ── Ammo pickups ──
+            case 'ammo':    // ammo clip — +4 bullets
+                if (state.ammo >= MAX_AMMO) break;
+                giveAmmo(CLIP_AMMO);
+                picked = true; break;
+
+            // ── Weapons (always pick up — give ammo + upgrade) ──
+            case 'machinegun':
+                giveAmmo(6);
+                giveWeapon('machinegun');
+                picked = true; break;
+            case 'chaingun':
+                giveAmmo(6);
+                giveWeapon('chaingun');
+                picked = true; break;
+
+            // ── Keys ──
+            case 'key1':
+                if (state.keys.gold) break;  // already have it
+                state.keys.gold = true;
+                picked = true; break;
+            case 'key2':
+                if (state.keys.silver) break;
+                state.keys.silver = true;
+                picked = true; break;
+
+            // ── Treasures (always pick up) ──
+            case 'cross':   state.score += 100; picked = true; break;
+            case 'chalice': state.score += 500; picked = true; break;
+            case 'bible':   state.score += 1000; picked = true; break;
+            case 'crown':   state.score += 5000; picked = true; break;
+
+            // ── Extra life ──
+            case 'oneup':
+                state.lives++;
+                state.health = MAX_HEALTH;
+                giveAmmo(25);
+                picked = true; break;
+        }
+
+        if (picked) {
+            p.collected = true;
+            emitGameEvent(GAME_EVENT.PICKUP_COLLECTED, { pickup: p, type: t });
+        }
+    }
+}
+
+// ─── Level Transition (Elevator) ────────────────
+// Each episode: maps 0-7 are regular floors, 8 is the boss, 9 the secret floor.
+export const BOSS_MAP = 8;
+const SECRET_MAP = 9;
+// Each episode's boss, for level data that doesn't name it
+const EPISODE_BOSSES = ['hans', 'schabbs', 'mechahitler', null, 'gretel', null];
+// Floor each episode's secret map leads back to (original ElevatorBackTo)
+const ELEVATOR_BACK_TO = [1, 1, 7, 3, 5, 3];
+export const ELEVATOR_WALL = 0x15;        // switch up
+const ELEVATOR_SWITCH_DOWN = 0x16; // next wall pair in the atlas is the thrown switch
+const ELEVATOR_EXIT_DELAY = 1.5;   // seconds of level-done sound before the tally
+const BOSS_EXIT_DELAY = 2;
+
+// Original Cmd_Use: the switch only works from its east or west face
+function tryElevatorSwitch() {
+    const fwdX = -Math.sin(player.yaw), fwdZ = -Math.cos(player.yaw);
+    if (Math.abs(fwdX) < Math.abs(fwdZ)) return false;
+    const pgx = Math.floor(player.x / CELL);
+    const pgz = Math.floor(player.z / CELL);
+    const tx = pgx + Math.sign(fwdX);
+    if (tx < 0 || tx >= MAP_SIZE || levelWalls[pgz * MAP_SIZE + tx] !== ELEVATOR_WALL) return false;
+    if (levelStats.exiting || levelStats.completed) return false;
+
+    setTile(tx, pgz, ELEVATOR_SWITCH_DOWN);
+    // Secret elevators are marked on the floor tile the player stands on
+    exitFloor(levelSecretExits.has(pgz * MAP_SIZE + pgx));
+    return true;
+}
+
+// Starts the level-done countdown; the tally runs once it has had time to play out
+function exitFloor(secret = false, delay = ELEVATOR_EXIT_DELAY) {
+    if (levelStats.exiting || levelStats.completed) return;
+    levelStats.exiting = true;
+    levelStats.exitTimer = delay;
+    levelStats.exitSecret = secret;
+    emitGameEvent(GAME_EVENT.FLOOR_EXITING, { secret });
+}
+
+function updateFloorExit(dt) {
+    if (!levelStats.exiting || levelStats.completed) return;
+    levelStats.exitTimer -= dt;
+    if (levelStats.exitTimer <= 0) completeFloor(levelStats.exitSecret);
+}
+
+// Victory tiles (object code 99) end the floor when stepped on, like the original
+function checkElevator() {
+    const tile = tileIndexAt(player.x, player.z);
+    if (tile >= 0 && gridStatics[tile] && gridStatics[tile].isExit) exitFloor();
+}
+
+// Scores the floor and works out where the elevator goes; the floor stays loaded
+// (for the tally screen) until enterNextFloor()
+function completeFloor(secret = false) {
+    if (levelStats.completed) return;
+    levelStats.completed = true;
+
+    const currentGlobal = state.episode * 10 + state.level;
+    const tally = tallyLevel(currentGlobal);
+
+    let next;
+    const episodeComplete = state.level === BOSS_MAP;
+    if (episodeComplete) {
+        // null after the last episode — the run is won
+        next = LEVELS[(state.episode + 1) * 10] ? { episode: state.episode + 1, level: 0, secretReturnLevel: null } : null;
+    } else if (state.level === SECRET_MAP) {
+        // Back to the floor after the one the secret elevator was taken from. Checked before
+        // the secret exit, like the original, so area-0 tiles on the secret map lead back too
+        const backTo = state.secretReturnLevel ?? ELEVATOR_BACK_TO[state.episode];
+        next = { episode: state.episode, level: backTo, secretReturnLevel: null };
+    } else if (secret && LEVELS[state.episode * 10 + SECRET_MAP]) {
+        next = { episode: state.episode, level: SECRET_MAP, secretReturnLevel: state.level + 1 };
+    } else {
+        next = { episode: state.episode, level: state.level + 1, secretReturnLevel: state.secretReturnLevel };
+    }
+    levelStats.next = next;
+
+    emitGameEvent(GAME_EVENT.LEVEL_COMPLETED, { levelIdx: currentGlobal, tally, secret, episodeComplete, next });
+}
+
+// Returns false when there is nowhere to go (the final episode is done)
+export function enterNextFloor() {
+    const next = levelStats.next;
+    if (!levelStats.completed || !next) return false;
+    state.episode = next.episode;
+    state.level = next.level;
+    state.secretReturnLevel = next.secretReturnLevel;
+    state.keys = { gold: false, silver: false };
+    loadLevel(state.episode * 10 + state.level);
+    return true;
+}
+
+function parseParTime(str) {
+    const [min, sec] = String(str || '').split(':').map(Number);
+    return Number.isFinite(min) && Number.isFinite(sec) ? min * 60 + sec : 0;
+}
+
+// Original LevelCompleted(): ratios are 0% when a floor has nothing to count,
+// 100% ratios and beating par time add to the score.
+function tallyLevel(levelIdx) {
+    const ratio = (found, total) => (total > 0 ? Math.floor(found * 100 / total) : 0);
+    const par = parseParTime(LEVELS[levelIdx] && LEVELS[levelIdx].parTime);
+    const tally = {
+        floor: levelIdx % 10 + 1,
+        time: levelStats.time,
+        par,
+        killRatio: ratio(levelStats.kills, levelStats.killsTotal),
+        secretRatio: ratio(levelStats.secrets, levelStats.secretsTotal),
+        treasureRatio: ratio(levelStats.treasure, levelStats.treasureTotal),
+        bonus: 0,
+    };
+    if (par > 0 && tally.time < par) tally.bonus += Math.floor(par - tally.time) * PAR_BONUS;
+    if (tally.killRatio === 100) tally.bonus += RATIO_BONUS;
+    if (tally.secretRatio === 100) tally.bonus += RATIO_BONUS;
+    if (tally.treasureRatio === 100) tally.bonus += RATIO_BONUS;
+    state.score += tally.bonus;
+    return tally;
+}
+
+// Score and ratio counters follow the same events the HUD and audio listen to
+onGameEvent(GAME_EVENT.ENEMY_KILLED, ({ score }) => {
+    state.score += score;
+    levelStats.kills++;
+});
+onGameEvent(GAME_EVENT.PICKUP_COLLECTED, ({ type }) => {
+    if (TREASURE_PICKUPS.includes(type)) levelStats.treasure++;
+});
+
+// ─── Death / Restart ────────────────────────────
+
+// Original Wolf3D: a death costs one life; the game ends once lives drop below zero
+function checkPlayerDeath() {
+    if (state.health > 0 || player.dead) return;
+    player.dead = true;
+    state.lives--;
+    const gameOver = state.lives < 0;
+    if (gameOver) state.lives = 0;
+    emitGameEvent(GAME_EVENT.PLAYER_DIED, { livesLeft: state.lives, gameOver });
+}
+
+function resetLoadout() {
+    state.health = MAX_HEALTH; state.ammo = START_AMMO;
+    state.weapon = 'pistol'; state.chosenWeapon = 'pistol';
+    state.weapons = { knife: true, pistol: true, machinegun: false, chaingun: false };
+    state.keys = { gold: false, silver: false };
+    state.shootCooldown = 0;
+}
+
+// Lost a life — restart the current floor with the starting loadout, keeping score
+export function restartFloor() {
+    resetLoadout();
+    loadLevel(state.episode * 10 + state.level);
+}
+
+export function newGame() {
+    resetLoadout();
+    state.score = 0; state.lives = 3;
+    state.episode = 0; state.level = 0;
+    state.secretReturnLevel = null;
+    loadLevel(0);
+}
+
+// ─── Tick Input ─────────────────────────────────
+// The simulation only sees one input frame per tick — live, recorded or replayed —
+// so the same frames reproduce the same session. bits holds the INPUT flags plus the
+// 1-based WEAPON_ORDER slot to switch to (0 = keep); mx/my are whole mouse pixels.
+export const INPUT = { FORWARD: 1, BACK: 2, LEFT: 4, RIGHT: 8, RUN: 16, FIRE: 32, FIRE_PRESSED: 64, USE: 128, JUMP: 256 };
+export const INPUT_WEAPON_SHIFT = 9;
+
+// Look, weapon switch, use and jump; movement and firing follow in tick()
+function applyTickInput(input) {
+    if (input.mx || input.my) {
+        player.yaw -= input.mx * state.mouseSensitivity;
+        player.pitch -= input.my * state.mouseSensitivity;
+        player.pitch = Math.max(-Math.PI / 3, Math.min(Math.PI / 3, player.pitch));
+    }
+    const weaponSlot = input.bits >> INPUT_WEAPON_SHIFT;
+    if (weaponSlot) selectWeapon(WEAPON_ORDER[weaponSlot - 1]);
+    if (input.bits & INPUT.USE) tryUse();
+    if ((input.bits & INPUT.JUMP) && player.y <= EYE_H + 0.001 && player.velY === 0) {
+        player.velY = JUMP_VELOCITY;
+    }
+}
+
+function movePlayer(dt, input) {
+    const prevX = player.x, prevZ = player.z;
+    const speed = state.moveSpeed * (input.bits & INPUT.RUN ? state.runMultiplier : 1) * dt;
+    const fwdX = -Math.sin(player.yaw), fwdZ = -Math.cos(player.yaw);
+    const rightX = Math.cos(player.yaw), rightZ = -Math.sin(player.yaw);
+    let mvX = 0, mvZ = 0;
+    if (input.bits & INPUT.FORWARD) { mvX += fwdX; mvZ += fwdZ; }
+    if (input.bits & INPUT.BACK) { mvX -= fwdX; mvZ -= fwdZ; }
+    if (input.bits & INPUT.LEFT) { mvX -= rightX; mvZ -= rightZ; }
+    if (input.bits & INPUT.RIGHT) { mvX += rightX; mvZ += rightZ; }
+
+    const mvLen = Math.hypot(mvX, mvZ);
+    if (mvLen > 0) {
+        const nx = player.x + mvX / mvLen * speed, nz = player.z + mvZ / mvLen * speed;
+        const r = PLAYER_RADIUS;
+        // X axis collision
+        if (!isBlocked(nx + r, player.z) && !isBlocked(nx - r, player.z) &&
+            !isBlocked(nx + r, player.z + r) && !isBlocked(nx - r, player.z - r) &&
+            !isBlocked(nx + r, player.z - r) && !isBlocked(nx - r, player.z + r) &&
+            !bodyBlocking(player, nx, player.z, r))
+            player.x = nx;
+        // Z axis collision
+        if (!isBlocked(player.x, nz + r) && !isBlocked(player.x, nz - r) &&
+            !isBlocked(player.x + r, nz + r) && !isBlocked(player.x - r, nz - r) &&
+            !isBlocked(player.x + r, nz - r) && !isBlocked(player.x - r, nz + r) &&
+            !bodyBlocking(player, player.x, nz, r))
+            player.z = nz;
+    }
+
+    // Jump/gravity physics (space to jump)
+    player.velY -= PLAYER_GRAVITY * dt;
+    player.y += player.velY * dt;
+    if (player.y <= EYE_H) {
+        player.y = EYE_H;
+        if (player.velY < 0) player.velY = 0;
+    }
+
+    const onGround = player.y <= EYE_H + 0.0001 && player.velY === 0;
+    player.bob = mvLen > 0 && onGround ? Math.sin(tickCount * TICK_DT * 8) : 0;
+
+    const moved = Math.hypot(player.x - prevX, player.z - prevZ);
+    player.speed = dt > 0 ? moved / dt : 0;
+}
+
+// ─── Snapshots ──────────────────────────────────
+// Everything that changes during play on the current floor, as JSON-safe data.
+// Used by save slots and to resume a game interrupted by demo playback.
+
+export function captureSnapshot() {
+    return {
+        levelIdx: levelIndex,
+        state: JSON.parse(JSON.stringify(state)),
+        player: { x: player.x, z: player.z, y: player.y, yaw: player.yaw, pitch: player.pitch },
+        walls: Array.from(levelWalls),
+        areas: levelAreas ? Array.from(levelAreas) : null,
+        stats: { ...levelStats },
+        doors: levelDoors.map(d => ({
+            openAmount: d.openAmount, open: d.open,
+            opening: d.opening, closing: d.closing, closeTimer: d.closeTimer,
+        })),
+        pushwalls: levelPushwalls.map(p => ({ ...p })),
+        // typeDef is looked up again from enemyType on restore
+        enemies: levelEnemies.map(({ typeDef, ...e }) => JSON.parse(JSON.stringify(e))),
+        pickups: levelPickups.map(p => ({ ...p })),
+    };
+}
+
+export function restoreSnapshot(data) {
+    if (!LEVELS[data.levelIdx]) return false;
+    // State first — the skill level decides which enemies loadLevel spawns
+    Object.assign(state, JSON.parse(JSON.stringify(data.state)));
+    loadLevel(data.levelIdx);
+
+    levelWalls = data.walls.slice();
+    if (data.areas) levelAreas = data.areas.slice();
+    Object.assign(levelStats, data.stats);
+    levelDoors.forEach((d, i) => Object.assign(d, data.doors[i]));
+    levelPushwalls.forEach((p, i) => Object.assign(p, data.pushwalls[i]));
+    // Enemies spawned mid-level and pickups dropped by the dead are in the lists too,
+    // so both are rebuilt wholesale
+    levelEnemies = data.enemies
+        .filter(e => ENEMY_TYPES[e.enemyType])
+        .map(e => ({ ...e, typeDef: ENEMY_TYPES[e.enemyType] }));
+    levelPickups = data.pickups
+        .filter(p => STATINFO[p.statType])
+        .map(p => ({ ...p, pickupType: STATINFO[p.statType].pickup }));
+    clearEntityGrid();
+    levelEnemies.forEach(fileEnemy);
+    levelPickups.forEach(filePickup);
+
+    Object.assign(player, data.player, { velY: 0, speed: 0, bob: 0, dead: false });
+    invalidatePaths();
+    return true;
+}
+
+// Demo sessions restart the tick counter (head bob) from zero
+export function resetTickClock() {
+    tickCount = 0;
+}
+
+// ─── Tick ───────────────────────────────────────
+// Advances the floor by dt seconds (always TICK_DT in the game) under one input frame.
+// Does nothing once the player is dead or the floor is completed.
+export function tick(dt, input) {
+    if (!levelWalls || player.dead || levelStats.completed) return;
+    levelStats.time += dt;
+    tickCount++;
+    applyTickInput(input);
+    movePlayer(dt, input);
+
+    // Shoot cooldown, then a fresh click or held auto-fire
+    if (state.shootCooldown > 0) state.shootCooldown -= dt;
+    if (input.bits & INPUT.FIRE_PRESSED) shoot();
+    else if ((input.bits & INPUT.FIRE) && (state.weapon === 'machinegun' || state.weapon === 'chaingun') && state.shootCooldown <= 0) shoot();
+
+    updateDoors(dt);
+    updatePushwalls(dt);
+    updateProjectiles(dt);
+    updateEnemies(dt);
+    checkPickups();
+    checkElevator();
+    updateFloorExit(dt);
+    checkPlayerDeath();
+}